@@ -0,0 +1,251 @@
+// associateIdentities.js - Canonical sales associates per tenant: Commerce7 IDs and name variants mapped to one person
+
+const supabase = require("./supabaseClient");
+
+const TABLE = "associate_identities";
+const CACHE_TTL_MS = 30000;
+const UNKNOWN_ASSOCIATE = "Unknown";
+
+const caches = new Map(); // tenant id -> { index, loadedAt }
+
+function getCache(tenantId) {
+  if (!caches.has(tenantId)) {
+    caches.set(tenantId, { index: null, loadedAt: 0 });
+  }
+  return caches.get(tenantId);
+}
+
+function invalidateCache(tenantId) {
+  getCache(tenantId).loadedAt = 0;
+}
+
+const normalizeName = name => String(name || "").trim().toLowerCase();
+
+// Commerce7 has sent the associate's ID as both salesAssociateId and id
+function getC7AssociateId(order) {
+  return order.salesAssociate?.salesAssociateId || order.salesAssociate?.id || null;
+}
+
+function buildIndex(identities) {
+  const index = { identities, byC7Id: new Map(), byName: new Map(), byUserId: new Map() };
+
+  identities.forEach(identity => {
+    (identity.c7_associate_ids || []).forEach(id => index.byC7Id.set(id, identity));
+    [identity.display_name, ...(identity.name_variants || [])]
+      .forEach(name => index.byName.set(normalizeName(name), identity));
+    if (identity.user_id) index.byUserId.set(identity.user_id, identity);
+  });
+
+  return index;
+}
+
+async function listIdentities(tenantId) {
+  const { data, error } = await supabase
+    .from(TABLE)
+    .select("*")
+    .eq("tenant_id", tenantId)
+    .order("display_name", { ascending: true });
+
+  if (error) throw error;
+  return data;
+}
+
+// Lookup tables for every identity, cached briefly so each order load doesn't hit Supabase
+async function getIdentityIndex(tenantId) {
+  const cache = getCache(tenantId);
+  if (cache.index && Date.now() - cache.loadedAt < CACHE_TTL_MS) {
+    return cache.index;
+  }
+
+  try {
+    cache.index = buildIndex(await listIdentities(tenantId));
+    cache.loadedAt = Date.now();
+  } catch (error) {
+    console.error(`[KINSTA ERROR] Failed to load associate identities for ${tenantId}:`, error.message);
+
+    // Unmapped orders still group by their raw Commerce7 name
+    if (!cache.index) {
+      console.log("[KINSTA WARNING] Falling back to raw Commerce7 associate names");
+      return buildIndex([]);
+    }
+  }
+
+  return cache.index;
+}
+
+// The canonical associate for an order: matched by Commerce7 ID first, then by name variant.
+// Unmatched orders keep their Commerce7 name so they can still be grouped and mapped later.
+function resolveAssociate(order, index) {
+  const c7Id = getC7AssociateId(order);
+  const rawName = order.salesAssociate?.name?.trim() || "";
+  const identity = (c7Id && index.byC7Id.get(c7Id)) || (rawName && index.byName.get(normalizeName(rawName)));
+
+  if (identity) {
+    return {
+      id: identity.id,
+      name: identity.display_name,
+      userId: identity.user_id || null,
+      mapped: true
+    };
+  }
+
+  return {
+    id: c7Id ? `c7:${c7Id}` : `name:${normalizeName(rawName) || "unknown"}`,
+    name: rawName || UNKNOWN_ASSOCIATE,
+    userId: null,
+    mapped: false
+  };
+}
+
+// Add the canonical `associate` to each order; everything that groups, filters or exports by associate uses it
+async function attachAssociateIdentities(tenantId, orders) {
+  const index = await getIdentityIndex(tenantId);
+  return orders.map(order => ({ ...order, associate: resolveAssociate(order, index) }));
+}
+
+async function getIdentityForUser(tenantId, userId) {
+  const index = await getIdentityIndex(tenantId);
+  return index.byUserId.get(userId) || null;
+}
+
+// Commerce7 associates seen on these orders that no identity claims yet, busiest first
+function findUnmappedAssociates(orders) {
+  const unmapped = new Map();
+
+  orders.forEach(order => {
+    if (!order.associate || order.associate.mapped) return;
+
+    const entry = unmapped.get(order.associate.id) || {
+      key: order.associate.id,
+      c7AssociateId: getC7AssociateId(order),
+      name: order.associate.name,
+      orderCount: 0
+    };
+    entry.orderCount++;
+    unmapped.set(entry.key, entry);
+  });
+
+  return [...unmapped.values()].sort((a, b) => b.orderCount - a.orderCount);
+}
+
+const cleanList = values => [...new Set((values || []).map(value => String(value).trim()).filter(Boolean))];
+
+async function createIdentity(tenantId, { displayName, userId = null, c7AssociateIds = [], nameVariants = [] }) {
+  const { data, error } = await supabase
+    .from(TABLE)
+    .insert({
+      tenant_id: tenantId,
+      display_name: displayName,
+      user_id: userId,
+      c7_associate_ids: cleanList(c7AssociateIds),
+      name_variants: cleanList(nameVariants)
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+  invalidateCache(tenantId);
+  return data;
+}
+
+async function updateIdentity(tenantId, id, { displayName, userId, c7AssociateIds, nameVariants }) {
+  const changes = { updated_at: new Date().toISOString() };
+  if (displayName !== undefined) changes.display_name = displayName;
+  if (userId !== undefined) changes.user_id = userId;
+  if (c7AssociateIds !== undefined) changes.c7_associate_ids = cleanList(c7AssociateIds);
+  if (nameVariants !== undefined) changes.name_variants = cleanList(nameVariants);
+
+  const { data, error } = await supabase
+    .from(TABLE)
+    .update(changes)
+    .eq("id", id)
+    .eq("tenant_id", tenantId)
+    .select()
+    .single();
+
+  if (error) throw error;
+  invalidateCache(tenantId);
+  return data;
+}
+
+// Fold duplicate identities into one: the target keeps its display name and gains the others'
+// Commerce7 IDs and name variants (their display names become variants too).
+// The target is updated before the duplicates are deleted, so a failed step never loses a mapping.
+async function mergeIdentities(tenantId, targetId, sourceIds) {
+  sourceIds = [...new Set(sourceIds)];
+
+  const { data: identities, error } = await supabase
+    .from(TABLE)
+    .select("*")
+    .eq("tenant_id", tenantId)
+    .in("id", [targetId, ...sourceIds]);
+
+  if (error) throw error;
+
+  const target = identities.find(identity => identity.id === targetId);
+  const sources = identities.filter(identity => identity.id !== targetId);
+  if (!target || sources.length !== sourceIds.length) {
+    const notFound = new Error("Associate not found");
+    notFound.status = 404;
+    throw notFound;
+  }
+
+  const linkedUsers = [...new Set([target, ...sources].map(identity => identity.user_id).filter(Boolean))];
+  if (linkedUsers.length > 1) {
+    const conflict = new Error("These associates are linked to different dashboard users - unlink one first");
+    conflict.status = 409;
+    throw conflict;
+  }
+
+  // A user can only be linked once per winery: unlink a duplicate that holds the link before the
+  // target takes it, and put the link back if the target can't be updated
+  const linkedSource = sources.find(source => source.user_id);
+  if (linkedSource) {
+    await updateIdentity(tenantId, linkedSource.id, { userId: null });
+  }
+
+  let merged;
+  try {
+    merged = await updateIdentity(tenantId, targetId, {
+      userId: linkedUsers[0] || null,
+      c7AssociateIds: [target, ...sources].flatMap(identity => identity.c7_associate_ids || []),
+      nameVariants: [
+        ...(target.name_variants || []),
+        ...sources.flatMap(source => [source.display_name, ...(source.name_variants || [])])
+      ]
+    });
+  } catch (updateError) {
+    if (linkedSource) {
+      await updateIdentity(tenantId, linkedSource.id, { userId: linkedSource.user_id }).catch(restoreError => {
+        console.error(`[KINSTA ERROR] Failed to relink ${linkedSource.display_name} after a failed merge:`, restoreError.message);
+      });
+    }
+    throw updateError;
+  }
+
+  // The target now holds everything the duplicates mapped; if this fails they are merely redundant
+  const { error: deleteError } = await supabase
+    .from(TABLE)
+    .delete()
+    .eq("tenant_id", tenantId)
+    .in("id", sourceIds);
+
+  if (deleteError) throw deleteError;
+
+  invalidateCache(tenantId);
+  return merged;
+}
+
+module.exports = {
+  UNKNOWN_ASSOCIATE,
+  getC7AssociateId,
+  listIdentities,
+  getIdentityIndex,
+  resolveAssociate,
+  attachAssociateIdentities,
+  getIdentityForUser,
+  findUnmappedAssociates,
+  createIdentity,
+  updateIdentity,
+  mergeIdentities
+};
@@ -0,0 +1,69 @@
+// auditLog.js - Record of who viewed, exported and changed what, stored in Supabase
+
+const supabase = require("./supabaseClient");
+const { startOfLocalDay, endOfLocalDay } = require("./timeZone");
+
+const TABLE = "audit_log";
+const PAGE_SIZE = 100;
+
+// Write one audit entry. Failures are logged rather than thrown so auditing never breaks the action itself.
+async function recordAudit(user, action, { tenantId = null, target = null, params = {}, status = null } = {}) {
+  try {
+    const { error } = await supabase
+      .from(TABLE)
+      .insert({
+        tenant_id: tenantId,
+        user_id: user?.id || null,
+        user_email: user?.email || null,
+        action,
+        target: target === null ? null : String(target),
+        params,
+        status
+      });
+
+    if (error) throw error;
+  } catch (error) {
+    console.error(`[KINSTA ERROR] Failed to write audit entry (${action} by ${user?.email}):`, error.message);
+  }
+}
+
+// A real calendar day in YYYY-MM-DD form (2025-02-30 is rejected rather than rolled over)
+function isCalendarDay(value) {
+  if (typeof value !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const time = Date.parse(`${value}T00:00:00Z`);
+  return !isNaN(time) && new Date(time).toISOString().startsWith(value);
+}
+
+// The tenant's entries, newest first, filtered by user email (partial match), action, target and a range of
+// local days in the winery's timezone
+async function searchAuditLog(tenantId, { user, action, target, from, to, offset = 0, timeZone } = {}) {
+  [from, to].forEach(day => {
+    if (day && !isCalendarDay(day)) {
+      throw Object.assign(new Error(`Invalid date: ${day}. Use YYYY-MM-DD.`), { status: 400 });
+    }
+  });
+
+  let query = supabase
+    .from(TABLE)
+    .select("*")
+    .eq("tenant_id", tenantId)
+    .order("created_at", { ascending: false })
+    .range(offset, offset + PAGE_SIZE - 1);
+
+  if (user) query = query.ilike("user_email", `%${user}%`);
+  if (action) query = query.eq("action", action);
+  if (target) query = query.ilike("target", `%${target}%`);
+  if (from) query = query.gte("created_at", startOfLocalDay(from, timeZone).toISOString());
+  if (to) query = query.lte("created_at", endOfLocalDay(to, timeZone).toISOString());
+
+  const { data, error } = await query;
+  if (error) throw error;
+
+  return { entries: data, hasMore: data.length === PAGE_SIZE };
+}
+
+module.exports = {
+  PAGE_SIZE,
+  recordAudit,
+  searchAuditLog
+};
@@ -0,0 +1,143 @@
+// commerce7.js - Commerce7 API client with retry, backoff and a circuit breaker
+
+const axios = require("axios");
+
+const C7_API_BASE = "https://api.commerce7.com/v1";
+
+const MAX_RETRIES = 4;
+const BASE_DELAY_MS = 500;
+const MAX_DELAY_MS = 30000;
+const BREAKER_THRESHOLD = 5; // Consecutive failed requests before the circuit opens
+const BREAKER_COOLDOWN_MS = 60000;
+const REQUEST_TIMEOUT_MS = 30000; // A hung connection fails and is retried like any network error
+
+// Credentials and Tenant header for one winery (see tenants.js)
+function authConfig(tenant) {
+  return {
+    auth: {
+      username: tenant.appId,
+      password: tenant.apiKey,
+    },
+    headers: {
+      Tenant: tenant.id,
+      "Content-Type": "application/json",
+    },
+  };
+}
+
+// One circuit breaker per tenant, so one winery's failing credentials or rate limit don't block the others
+const breakers = new Map();
+
+function getBreaker(tenantId) {
+  if (!breakers.has(tenantId)) {
+    breakers.set(tenantId, { consecutiveFailures: 0, openedAt: null });
+  }
+  return breakers.get(tenantId);
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Rate limits and server-side failures are worth retrying; other 4xx errors are not
+function isRetryable(error) {
+  const status = error.response?.status;
+  if (!status) return true; // Network error or timeout
+  return status === 429 || status >= 500;
+}
+
+// Read how long Commerce7 asked us to wait, from Retry-After or the rate-limit reset header
+function getRateLimitDelay(headers = {}) {
+  const retryAfter = headers["retry-after"];
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    if (!isNaN(seconds)) return seconds * 1000;
+    const date = Date.parse(retryAfter);
+    if (!isNaN(date)) return Math.max(0, date - Date.now());
+  }
+
+  const reset = Number(headers["x-ratelimit-reset"]);
+  if (!isNaN(reset) && reset > 0) {
+    // Some gateways send an epoch timestamp, others the number of seconds remaining
+    return reset > 1e9 ? Math.max(0, reset * 1000 - Date.now()) : reset * 1000;
+  }
+
+  return null;
+}
+
+function getBackoffDelay(attempt, error) {
+  const requested = getRateLimitDelay(error.response?.headers);
+  if (requested !== null) return Math.min(requested, MAX_DELAY_MS);
+
+  // Exponential backoff with jitter
+  const exponential = BASE_DELAY_MS * 2 ** attempt;
+  return Math.min(exponential + Math.random() * BASE_DELAY_MS, MAX_DELAY_MS);
+}
+
+function assertCircuitClosed(breaker) {
+  if (!breaker.openedAt) return;
+
+  if (Date.now() - breaker.openedAt < BREAKER_COOLDOWN_MS) {
+    const error = new Error("Commerce7 is temporarily unavailable - too many failed requests, try again shortly");
+    error.code = "C7_CIRCUIT_OPEN";
+    throw error;
+  }
+
+  // Cooldown elapsed: let the next request through to probe Commerce7
+  console.log("[KINSTA] Commerce7 circuit breaker half-open - retrying requests");
+  breaker.openedAt = null;
+  breaker.consecutiveFailures = BREAKER_THRESHOLD - 1;
+}
+
+function recordSuccess(breaker) {
+  breaker.consecutiveFailures = 0;
+  breaker.openedAt = null;
+}
+
+function recordFailure(breaker, tenantId) {
+  breaker.consecutiveFailures++;
+  if (breaker.consecutiveFailures >= BREAKER_THRESHOLD && !breaker.openedAt) {
+    breaker.openedAt = Date.now();
+    console.error(`[KINSTA ERROR] Commerce7 circuit breaker for ${tenantId} opened after ${breaker.consecutiveFailures} consecutive failures`);
+  }
+}
+
+// Send a request to a tenant's Commerce7 account, retrying rate limits and 5xx errors with exponential backoff
+async function c7Request(tenant, method, url, data) {
+  const breaker = getBreaker(tenant.id);
+  assertCircuitClosed(breaker);
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const response = await axios({ ...authConfig(tenant), method, url, data, timeout: REQUEST_TIMEOUT_MS });
+      recordSuccess(breaker);
+      return response;
+    } catch (error) {
+      if (!isRetryable(error)) {
+        // The request itself was rejected; Commerce7 is healthy
+        recordSuccess(breaker);
+        throw error;
+      }
+
+      if (attempt >= MAX_RETRIES) {
+        recordFailure(breaker, tenant.id);
+        throw error;
+      }
+
+      const delay = getBackoffDelay(attempt, error);
+      console.log(`[KINSTA WARNING] Commerce7 request failed (${error.response?.status || error.code || error.message}) - retry ${attempt + 1}/${MAX_RETRIES} in ${Math.round(delay)}ms`);
+      await sleep(delay);
+    }
+  }
+}
+
+function c7Get(tenant, url) {
+  return c7Request(tenant, "get", url);
+}
+
+module.exports = {
+  C7_API_BASE,
+  authConfig,
+  c7Request,
+  c7Get,
+  isRetryable,
+  getRateLimitDelay
+};
@@ -0,0 +1,179 @@
+// compliance.js - Guest count compliance: how many orders that need a guest count actually have one
+
+const { formatDate } = require("./orderService");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TREND_INTERVALS = ["day", "week", "month"];
+const COMPARISONS = ["previous", "lastYear"];
+
+// Calendar arithmetic is done on UTC midnights; this reads the day back without a timezone shift
+const calendarDay = date => date.toISOString().split("T")[0];
+
+// Counts for orders that require a guest count (see filterGuestCountEligible)
+function summarizeCompliance(eligibleOrders) {
+  const eligible = eligibleOrders.length;
+  const withGuestCount = eligibleOrders.filter(order => order.guestCount).length;
+
+  return {
+    eligible,
+    withGuestCount,
+    missing: eligible - withGuestCount,
+    compliancePercent: eligible ? Math.round((withGuestCount / eligible) * 1000) / 10 : null
+  };
+}
+
+// Compliance per canonical associate (see associateIdentities.js), worst compliance first
+function complianceByAssociate(eligibleOrders) {
+  const groups = new Map();
+
+  eligibleOrders.forEach(order => {
+    const key = order.associate?.id || "unknown";
+    if (!groups.has(key)) {
+      groups.set(key, { associateId: key, associate: order.associate?.name || "Unknown", orders: [] });
+    }
+    groups.get(key).orders.push(order);
+  });
+
+  return [...groups.values()]
+    .map(({ associateId, associate, orders }) => ({ associateId, associate, ...summarizeCompliance(orders) }))
+    .sort((a, b) => a.compliancePercent - b.compliancePercent || b.missing - a.missing);
+}
+
+// Day, week or month depending on how long the range is, so charts stay readable
+function defaultTrendInterval(startDate, endDate) {
+  const days = (new Date(endDate) - new Date(startDate)) / DAY_MS;
+  if (days <= 31) return "day";
+  if (days <= 180) return "week";
+  return "month";
+}
+
+// First day of the period containing the date (a business day in the winery's timezone): the day
+// itself, its Monday, or the 1st of its month
+function periodStart(date, interval, timeZone) {
+  const day = formatDate(date, timeZone);
+  if (interval === "month") return `${day.slice(0, 7)}-01`;
+  if (interval === "week") {
+    const d = new Date(`${day}T00:00:00Z`);
+    return calendarDay(new Date(d.getTime() - ((d.getUTCDay() + 6) % 7) * DAY_MS));
+  }
+  return day;
+}
+
+// Every period from startDate to endDate, so gaps show as zero rather than disappearing
+function listPeriods(startDate, endDate, interval, timeZone) {
+  const periods = [];
+  let current = periodStart(startDate, interval, timeZone);
+
+  while (current <= endDate) {
+    periods.push(current);
+    const d = new Date(`${current}T00:00:00Z`);
+    if (interval === "month") {
+      d.setUTCMonth(d.getUTCMonth() + 1);
+    } else {
+      d.setUTCDate(d.getUTCDate() + (interval === "week" ? 7 : 1));
+    }
+    current = calendarDay(d);
+  }
+
+  return periods;
+}
+
+function bucketCompliance(orders, periods, interval, timeZone) {
+  const buckets = new Map(periods.map(period => [period, []]));
+  orders.forEach(order => {
+    // Bucket by the date the range was filtered on
+    const date = order.rangeDate || order.orderPaidDate || order.orderDate;
+    if (!date) return;
+    buckets.get(periodStart(date, interval, timeZone))?.push(order);
+  });
+
+  return periods.map(period => ({ period, ...summarizeCompliance(buckets.get(period)) }));
+}
+
+// Eligible and missing orders per period, overall and optionally per associate
+function complianceTrend(eligibleOrders, { startDate, endDate, interval, byAssociate = false, timeZone }) {
+  const periods = listPeriods(startDate, endDate, interval, timeZone);
+  const trend = { interval, points: bucketCompliance(eligibleOrders, periods, interval, timeZone) };
+
+  if (byAssociate) {
+    trend.associates = complianceByAssociate(eligibleOrders).map(({ associateId, associate }) => ({
+      associateId,
+      associate,
+      points: bucketCompliance(eligibleOrders.filter(order => (order.associate?.id || "unknown") === associateId), periods, interval, timeZone)
+    }));
+  }
+
+  return trend;
+}
+
+// The range to compare against: the equally long period just before, or the same dates a year earlier
+function comparisonRange(startDate, endDate, compareTo) {
+  const start = new Date(`${startDate}T00:00:00Z`);
+  const end = new Date(`${endDate}T00:00:00Z`);
+
+  if (compareTo === "lastYear") {
+    start.setUTCFullYear(start.getUTCFullYear() - 1);
+    end.setUTCFullYear(end.getUTCFullYear() - 1);
+    return { startDate: calendarDay(start), endDate: calendarDay(end) };
+  }
+
+  const days = Math.round((end - start) / DAY_MS) + 1;
+  return {
+    startDate: calendarDay(new Date(start.getTime() - days * DAY_MS)),
+    endDate: calendarDay(new Date(start.getTime() - DAY_MS))
+  };
+}
+
+function complianceDelta(current, previous) {
+  return {
+    missingDelta: current.missing - previous.missing,
+    complianceDelta: current.compliancePercent !== null && previous.compliancePercent !== null
+      ? Math.round((current.compliancePercent - previous.compliancePercent) * 10) / 10
+      : null
+  };
+}
+
+// Current vs comparison period, overall and per associate (including associates only in one of them)
+function compareCompliance(currentOrders, previousOrders) {
+  const previousByAssociate = new Map(complianceByAssociate(previousOrders).map(row => [row.associateId, row]));
+  const currentRows = complianceByAssociate(currentOrders);
+  const empty = summarizeCompliance([]);
+
+  const associates = currentRows.map(row => {
+    const previous = previousByAssociate.get(row.associateId) || { ...empty };
+    previousByAssociate.delete(row.associateId);
+    return { ...row, previous, ...complianceDelta(row, previous) };
+  });
+
+  // Associates with orders last period but none this period
+  previousByAssociate.forEach(previous => {
+    const current = { associateId: previous.associateId, associate: previous.associate, ...empty };
+    associates.push({ ...current, previous, ...complianceDelta(current, previous) });
+  });
+
+  const overall = summarizeCompliance(currentOrders);
+  const previousOverall = summarizeCompliance(previousOrders);
+
+  return {
+    associates,
+    overall: { ...overall, previous: previousOverall, ...complianceDelta(overall, previousOverall) }
+  };
+}
+
+// Monday of the current week through today, as business days in the winery's timezone
+function currentWeekRange(timeZone, now = new Date()) {
+  const today = formatDate(now, timeZone);
+  return { startDate: periodStart(today, "week", timeZone), endDate: today };
+}
+
+module.exports = {
+  summarizeCompliance,
+  complianceByAssociate,
+  TREND_INTERVALS,
+  defaultTrendInterval,
+  complianceTrend,
+  COMPARISONS,
+  comparisonRange,
+  compareCompliance,
+  currentWeekRange
+};
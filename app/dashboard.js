@@ -1,5 +1,7 @@
 // dashboard.js - Modern Interactive Dashboard for Guest Count Check
 
+const TENANT_STORAGE_KEY = 'guestCountTenant'; // The winery last picked in the switcher
+
 class GuestCountDashboard {
     constructor() {
         // State Management
@@ -10,6 +12,19 @@ class GuestCountDashboard {
             selectedAssociates: new Set(),
             sortConfig: { field: null, direction: 'asc' },
             currentView: 'table',
+            listSource: 'range',
+            dateField: 'paid', // Which order date the loaded range applies to
+            loadedRange: null, // { from, to } of the loaded date range list; exports are built from it
+            orderFilters: {}, // Search and structured filters the server applied to the loaded list
+            missingQueueTotal: 0,
+            guestCountRules: [],
+            associateAdmin: null,
+            myOrdersSummary: null,
+            leaderboard: null,
+            leaderboardSort: { field: 'compliancePercent', direction: 'asc' },
+            user: null,
+            timeZone: 'America/New_York', // Replaced by the selected winery's timezone from /api/me
+            tenantId: localStorage.getItem(TENANT_STORAGE_KEY), // Sent as X-Tenant-Id; the server picks the user's first winery without it
             isLoading: false,
             error: null
         };
@@ -18,10 +33,36 @@ class GuestCountDashboard {
         // DOM Elements
         this.elements = {
             loadOrdersBtn: document.getElementById('load-orders-btn'),
-            exportExcelBtn: document.getElementById('export-excel-btn'),
+            exportBtn: document.getElementById('export-btn'),
+            exportFormatSelect: document.getElementById('export-format'),
+            missingQueueBtn: document.getElementById('missing-queue-btn'),
+            myOrdersBtn: document.getElementById('my-orders-btn'),
+            myOrdersSummary: document.getElementById('my-orders-summary'),
+            leaderboardSection: document.getElementById('leaderboard-section'),
+            leaderboardBody: document.getElementById('leaderboard-body'),
+            leaderboardOverall: document.getElementById('leaderboard-overall'),
+            compareSelect: document.getElementById('compare-select'),
+            analyticsBtn: document.getElementById('analytics-btn'),
+            analyticsSection: document.getElementById('analytics-section'),
+            analyticsBody: document.getElementById('analytics-body'),
+            trendSection: document.getElementById('trend-section'),
+            trendInterval: document.getElementById('trend-interval'),
+            trendByAssociate: document.getElementById('trend-by-associate'),
+            trendMessage: document.getElementById('trend-message'),
+            trendLineChart: document.getElementById('trend-line-chart'),
+            trendBarChart: document.getElementById('trend-bar-chart'),
+            missingQueueCount: document.getElementById('missing-queue-count'),
             fromDateInput: document.getElementById('from-date'),
             toDateInput: document.getElementById('to-date'),
+            dateFieldSelect: document.getElementById('date-field'),
+            rangeDateHeader: document.getElementById('range-date-header'),
             orderSearchInput: document.getElementById('order-search'),
+            minTotalInput: document.getElementById('min-total'),
+            maxTotalInput: document.getElementById('max-total'),
+            minItemsInput: document.getElementById('min-items'),
+            maxItemsInput: document.getElementById('max-items'),
+            orderKindSelect: document.getElementById('order-kind'),
+            flagFilter: document.getElementById('flag-filter'),
             associateDropdown: document.getElementById('associate-dropdown'),
             associateSelectionText: document.getElementById('associate-selection-text'),
             associateOptions: document.getElementById('associate-options'),
@@ -29,6 +70,7 @@ class GuestCountDashboard {
             clearAllBtn: document.querySelector('.clear-all-btn'),
             statusMessage: document.getElementById('status-message'),
             resultsTitle: document.getElementById('results-title'),
+            lastSynced: document.getElementById('last-synced'),
             tableViewBtn: document.getElementById('table-view-btn'),
             cardViewBtn: document.getElementById('card-view-btn'),
             tableView: document.getElementById('table-view'),
@@ -38,11 +80,23 @@ class GuestCountDashboard {
             orderDetailsModal: document.getElementById('order-details-modal'),
             modalOrderTitle: document.getElementById('modal-order-title'),
             modalOrderDetails: document.getElementById('modal-order-details'),
-            modalClose: document.querySelector('.modal-close')
+            modalClose: document.querySelector('.modal-close'),
+            exclusionsBtn: document.getElementById('exclusions-btn'),
+            rulesBtn: document.getElementById('rules-btn'),
+            associatesBtn: document.getElementById('associates-btn'),
+            auditLogBtn: document.getElementById('audit-log-btn'),
+            tenantSelect: document.getElementById('tenant-select'),
+            adminModal: document.getElementById('admin-modal'),
+            adminModalTitle: document.getElementById('admin-modal-title'),
+            adminModalBody: document.getElementById('admin-modal-body')
         };
 
+        this.charts = {};
+
         this.initializeEventListeners();
         this.setDefaultDates();
+        this.loadCurrentUser();
+        this.startMissingQueuePolling();
     }
 
 
@@ -51,11 +105,37 @@ class GuestCountDashboard {
         // Load Orders Button
         this.elements.loadOrdersBtn.addEventListener('click', () => this.loadOrders());
         
-        // Export Excel Button
-        this.elements.exportExcelBtn.addEventListener('click', () => this.exportToExcel());
+        // Winery switcher
+        this.elements.tenantSelect.addEventListener('change', () => this.switchTenant(this.elements.tenantSelect.value));
+        
+        // Revenue Analytics Button
+        this.elements.analyticsBtn.addEventListener('click', () => this.loadRevenueAnalytics());
+        document.getElementById('analytics-close').addEventListener('click', () => {
+            this.elements.analyticsSection.style.display = 'none';
+        });
+        
+        // My Orders Button
+        this.elements.myOrdersBtn.addEventListener('click', () => this.openMyOrders());
+        
+        // Live Missing Queue Button
+        this.elements.missingQueueBtn.addEventListener('click', () => this.loadMissingQueue());
+        
+        // Export Button
+        this.elements.exportBtn.addEventListener('click', () => this.exportReport());
         
-        // Search Input
-        this.elements.orderSearchInput.addEventListener('input', () => this.applyFilters());
+        // Search and order filters run on the server; reload the list when a value is committed
+        // (Enter or leaving the field), not on every keystroke
+        [
+            this.elements.orderSearchInput,
+            this.elements.minTotalInput,
+            this.elements.maxTotalInput,
+            this.elements.minItemsInput,
+            this.elements.maxItemsInput,
+            this.elements.orderKindSelect
+        ].forEach(input => input.addEventListener('change', () => this.reloadCurrentList({ listOnly: true })));
+        
+        // Review Flag Filter
+        this.elements.flagFilter.addEventListener('change', () => this.applyFilters());
         
         // Multi-select Dropdown
         this.initializeMultiSelect();
@@ -71,10 +151,22 @@ class GuestCountDashboard {
             }
         });
         
+        // Admin screens
+        this.elements.exclusionsBtn.addEventListener('click', () => this.openExclusionsAdmin());
+        this.elements.rulesBtn.addEventListener('click', () => this.openRulesAdmin());
+        this.elements.associatesBtn.addEventListener('click', () => this.openAssociatesAdmin());
+        this.elements.auditLogBtn.addEventListener('click', () => this.openAuditLog());
+        this.elements.adminModal.addEventListener('click', (e) => {
+            if (e.target.classList.contains('modal') || e.target.classList.contains('modal-close')) {
+                this.closeAdminModal();
+            }
+        });
+        
         // Close modal on Escape key
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape') {
                 this.closeModal();
+                this.closeAdminModal();
             }
         });
 
@@ -85,15 +177,110 @@ class GuestCountDashboard {
                 this.sortOrders(field);
             });
         });
+        
+        // Trend chart options
+        const reloadTrend = () => this.loadTrend(this.elements.fromDateInput.value, this.elements.toDateInput.value);
+        this.elements.trendInterval.addEventListener('change', reloadTrend);
+        this.elements.trendByAssociate.addEventListener('change', reloadTrend);
+        
+        // Period comparison
+        this.elements.compareSelect.addEventListener('change', () => {
+            this.loadLeaderboard(this.elements.fromDateInput.value, this.elements.toDateInput.value);
+        });
+        
+        // Leaderboard sorting
+        document.querySelectorAll('[data-leaderboard-sort]').forEach(header => {
+            header.addEventListener('click', () => this.sortLeaderboard(header.dataset.leaderboardSort));
+        });
+    }
+
+    // Load the signed-in user's role and hide the controls it doesn't allow (the server enforces the same rules)
+    async loadCurrentUser() {
+        try {
+            const user = await this.apiRequest('/api/me');
+            const untouchedDates = this.elements.fromDateInput.value === this.defaultDates?.from
+                && this.elements.toDateInput.value === this.defaultDates?.to;
+            this.setState({ user, timeZone: user.timeZone || this.state.timeZone, tenantId: user.tenant.id });
+            localStorage.setItem(TENANT_STORAGE_KEY, user.tenant.id);
+            this.renderTenantSwitcher();
+            // The default range was picked before the winery's timezone was known
+            if (untouchedDates) this.setDefaultDates();
+            this.applyRoleToControls();
+            
+            // Associates start on their own orders
+            if (user.role === 'associate' && user.associateName) {
+                this.openMyOrders();
+            }
+        } catch (error) {
+            // The remembered winery may no longer be granted; fall back to the user's default one
+            if (this.state.tenantId) {
+                localStorage.removeItem(TENANT_STORAGE_KEY);
+                this.setState({ tenantId: null });
+                return this.loadCurrentUser();
+            }
+            console.error('Error loading user role:', error);
+            this.showStatus(`Unable to load your dashboard access: ${error.message}`, 'error');
+        }
+    }
+
+    // Only users granted more than one winery get the switcher
+    renderTenantSwitcher() {
+        const { tenant, tenants = [] } = this.state.user;
+        const select = this.elements.tenantSelect;
+        
+        select.innerHTML = tenants.map(option => `
+            <option value="${this.escapeHtml(option.id)}" ${option.id === tenant.id ? 'selected' : ''}>${this.escapeHtml(option.name)}</option>
+        `).join('');
+        select.style.display = tenants.length > 1 ? '' : 'none';
+        document.title = `${tenant.name} Guest Count Dashboard`;
+        document.querySelector('.header-text h1').textContent = document.title;
     }
 
-    // Set default dates (last week)
+    // Every list, chart and setting belongs to one winery, so switching starts the dashboard afresh
+    switchTenant(tenantId) {
+        if (!tenantId || tenantId === this.state.tenantId) return;
+        localStorage.setItem(TENANT_STORAGE_KEY, tenantId);
+        window.location.reload();
+    }
+
+    can(permission) {
+        return Boolean(this.state.user?.permissions?.includes(permission));
+    }
+
+    applyRoleToControls() {
+        const show = (element, visible) => {
+            if (element) element.style.display = visible ? '' : 'none';
+        };
+        
+        show(this.elements.exportBtn, this.can('export'));
+        show(this.elements.exportFormatSelect, this.can('export'));
+        show(this.elements.exclusionsBtn, this.can('admin'));
+        show(this.elements.rulesBtn, this.can('admin'));
+        show(this.elements.associatesBtn, this.can('admin'));
+        show(this.elements.auditLogBtn, this.can('admin'));
+        // Associates only ever see their own orders, so filtering by associate means nothing to them
+        show(this.elements.associateDropdown.closest('.filter-group'), this.can('viewAll'));
+        show(this.elements.myOrdersBtn, Boolean(this.state.user?.associateName));
+        
+        // Re-render so guest count inputs follow the role
+        if (this.state.filteredOrders.length > 0) {
+            this.renderOrders();
+        }
+    }
+
+    // Set default dates (last week), as business days in the winery's timezone
     setDefaultDates() {
         const today = new Date();
         const lastWeek = new Date(today.getTime() - 7 * 24 * 60 * 60 * 1000);
         
-        this.elements.fromDateInput.value = lastWeek.toISOString().split('T')[0];
-        this.elements.toDateInput.value = today.toISOString().split('T')[0];
+        this.defaultDates = { from: this.toLocalDay(lastWeek), to: this.toLocalDay(today) };
+        this.elements.fromDateInput.value = this.defaultDates.from;
+        this.elements.toDateInput.value = this.defaultDates.to;
+    }
+
+    // The business day (YYYY-MM-DD) of a moment in the winery's timezone
+    toLocalDay(date) {
+        return new Intl.DateTimeFormat('en-CA', { timeZone: this.state.timeZone }).format(date);
     }
 
     // Initialize multi-select dropdown functionality
@@ -118,9 +305,14 @@ class GuestCountDashboard {
     }
 
     // Data Loading
-    async loadOrders() {
-        const fromDate = this.elements.fromDateInput.value;
-        const toDate = this.elements.toDateInput.value;
+    // Load the date range list. With `listOnly` (a search or filter change) the range already
+    // loaded is kept and the charts and leaderboard, which don't depend on the filters, are left alone.
+    async loadOrders({ listOnly = false } = {}) {
+        const keepRange = listOnly && this.state.loadedRange;
+        const fromDate = keepRange ? this.state.loadedRange.from : this.elements.fromDateInput.value;
+        const toDate = keepRange ? this.state.loadedRange.to : this.elements.toDateInput.value;
+        const dateField = keepRange ? this.state.dateField : this.elements.dateFieldSelect.value;
+        const orderFilters = this.getOrderFilters();
         
         if (!fromDate && !toDate) {
             this.showStatus('Please select at least one date.', 'error');
@@ -130,16 +322,22 @@ class GuestCountDashboard {
         this.setState({ isLoading: true, error: null });
         this.showStatus('Loading orders...', 'loading');
         
+        // The trend charts and leaderboard load alongside and report their own errors
+        if (!listOnly) {
+            this.loadTrend(fromDate, toDate);
+            this.loadLeaderboard(fromDate, toDate);
+        }
+        
         try {
-            const url = `/api/orders?from=${fromDate}&to=${toDate}`;
-            const response = await fetch(url);
+            const params = new URLSearchParams({ from: fromDate, to: toDate, dateField, ...orderFilters });
+            const response = await this.authFetch(`/api/orders?${params}`);
+            
+            const data = await response.json();
             
             if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+                throw new Error(data.message || data.error || `HTTP error! status: ${response.status}`);
             }
             
-            const data = await response.json();
-            
             // Debug: Log date fields for the first few orders
             if (data.orders && data.orders.length > 0) {
                 console.log("Sample order date fields:");
@@ -156,15 +354,26 @@ class GuestCountDashboard {
             
             this.setState({ 
                 orders: data.orders || [],
+                listSource: 'range',
+                dateField: data.dateField || dateField,
+                loadedRange: { from: fromDate, to: toDate },
+                orderFilters: data.filters || orderFilters,
                 isLoading: false 
             });
+            this.updateRangeDateHeader();
+            this.renderMyOrdersSummary();
             
             this.populateAssociateFilter();
             this.applyFilters();
             this.updateResultsTitle();
+            this.updateLastSynced(data.lastSyncedAt);
             
-            this.showStatus(`Loaded ${this.state.orders.length} orders`, 'success');
-            this.elements.exportExcelBtn.disabled = false;
+            if (data.partial) {
+                this.showStatus(this.getPartialResultsMessage(this.state.orders.length, data.missingPages), 'warning');
+            } else {
+                this.showStatus(`Loaded ${this.state.orders.length} orders`, 'success');
+            }
+            this.elements.exportBtn.disabled = false;
             
         } catch (error) {
             console.error('Error loading orders:', error);
@@ -172,26 +381,514 @@ class GuestCountDashboard {
                 isLoading: false, 
                 error: error.message 
             });
-            this.showStatus('Error loading orders. Please try again.', 'error');
+            this.showStatus(`Error loading orders: ${error.message}`, 'error');
+        }
+    }
+
+    // Live queue of orders missing guest counts, kept current by Commerce7 webhooks
+    async loadMissingQueue() {
+        this.setState({ isLoading: true, error: null });
+        this.showStatus('Loading currently missing orders...', 'loading');
+        
+        try {
+            const data = await this.apiRequest(`/api/missing-queue?${new URLSearchParams(this.getOrderFilters())}`);
+            
+            this.setState({
+                orders: data.orders || [],
+                listSource: 'queue',
+                dateField: 'paid',
+                loadedRange: null,
+                orderFilters: data.filters || {},
+                isLoading: false
+            });
+            this.updateRangeDateHeader();
+            this.renderMyOrdersSummary();
+            // The charts and leaderboard cover a date range, not the live queue
+            this.elements.trendSection.style.display = 'none';
+            this.elements.leaderboardSection.style.display = 'none';
+            
+            this.populateAssociateFilter();
+            this.applyFilters();
+            this.updateMissingQueueCount(data.total);
+            this.elements.lastSynced.textContent = `Live queue updated ${new Date().toLocaleTimeString('en-US', { timeZone: this.state.timeZone })}`;
+            this.elements.exportBtn.disabled = false;
+            
+            this.showStatus(`${this.state.orders.length} orders currently missing guest counts`, 'success');
+        } catch (error) {
+            console.error('Error loading missing queue:', error);
+            this.setState({ isLoading: false, error: error.message });
+            this.showStatus(`Error loading currently missing orders: ${error.message}`, 'error');
+        }
+    }
+
+    // Trend Charts
+    async loadTrend(fromDate, toDate) {
+        // A trend needs a closed range
+        if (!fromDate || !toDate) {
+            this.elements.trendSection.style.display = 'none';
+            return;
+        }
+        
+        const params = new URLSearchParams({ from: fromDate, to: toDate, dateField: this.elements.dateFieldSelect.value });
+        if (this.elements.trendInterval.value) params.append('interval', this.elements.trendInterval.value);
+        if (this.elements.trendByAssociate.checked) params.append('byAssociate', 'true');
+        
+        try {
+            const data = await this.apiRequest(`/api/compliance/trend?${params.toString()}`);
+            this.renderTrendCharts(data);
+        } catch (error) {
+            console.error('Error loading compliance trend:', error);
+            this.elements.trendMessage.textContent = `Error loading trend: ${error.message}`;
+            this.elements.trendSection.style.display = 'block';
+        }
+    }
+
+    renderTrendCharts(data) {
+        this.elements.trendSection.style.display = 'block';
+        
+        if (!window.Chart) {
+            this.elements.trendMessage.textContent = 'Charts are unavailable (the chart library failed to load).';
+            return;
+        }
+        this.elements.trendMessage.textContent = data.partial ? 'Some Commerce7 pages could not be loaded – trend may be incomplete.' : '';
+        
+        const labels = data.points.map(point => this.formatPeriodLabel(point.period, data.interval));
+        const series = data.associates || [{ associate: 'All associates', points: data.points }];
+        const color = index => this.getChartColor(index);
+        
+        Object.values(this.charts).forEach(chart => chart.destroy());
+        
+        this.charts.line = new Chart(this.elements.trendLineChart, {
+            type: 'line',
+            data: {
+                labels,
+                datasets: series.map((entry, index) => ({
+                    label: entry.associate,
+                    data: entry.points.map(point => point.compliancePercent),
+                    borderColor: color(index),
+                    backgroundColor: color(index),
+                    spanGaps: true,
+                    tension: 0.2
+                }))
+            },
+            options: {
+                maintainAspectRatio: false,
+                plugins: { title: { display: true, text: 'Compliance %' } },
+                scales: { y: { min: 0, max: 100, ticks: { callback: value => `${value}%` } } }
+            }
+        });
+        
+        // Split view: missing counts per associate; overall: missing stacked on top of completed
+        const barDatasets = data.associates
+            ? data.associates.map((entry, index) => ({
+                label: entry.associate,
+                data: entry.points.map(point => point.missing),
+                backgroundColor: color(index)
+            }))
+            : [
+                { label: 'With guest count', data: data.points.map(point => point.withGuestCount), backgroundColor: '#81C784', stack: 'orders' },
+                { label: 'Missing', data: data.points.map(point => point.missing), backgroundColor: '#E57373', stack: 'orders' }
+            ];
+        
+        this.charts.bar = new Chart(this.elements.trendBarChart, {
+            type: 'bar',
+            data: { labels, datasets: barDatasets },
+            options: {
+                maintainAspectRatio: false,
+                plugins: { title: { display: true, text: data.associates ? 'Missing guest counts by associate' : 'Eligible orders' } },
+                scales: {
+                    x: { stacked: !data.associates },
+                    y: { stacked: !data.associates, beginAtZero: true, ticks: { precision: 0 } }
+                }
+            }
+        });
+    }
+
+    formatPeriodLabel(period, interval) {
+        const date = new Date(`${period}T00:00:00Z`);
+        if (interval === 'month') {
+            return date.toLocaleDateString('en-US', { month: 'short', year: 'numeric', timeZone: 'UTC' });
+        }
+        const label = date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+        return interval === 'week' ? `Week of ${label}` : label;
+    }
+
+    getChartColor(index) {
+        const palette = ['#715100', '#1976D2', '#D32F2F', '#388E3C', '#7B1FA2', '#F57C00', '#0097A7', '#5D4037', '#C2185B', '#455A64'];
+        return palette[index % palette.length];
+    }
+
+    // Guest Revenue Analytics
+    async loadRevenueAnalytics() {
+        const fromDate = this.elements.fromDateInput.value;
+        const toDate = this.elements.toDateInput.value;
+        
+        if (!fromDate && !toDate) {
+            this.showStatus('Please select at least one date.', 'error');
+            return;
+        }
+        
+        const section = this.elements.analyticsSection;
+        section.style.display = 'block';
+        this.elements.analyticsBody.innerHTML = '<div class="admin-loading">Calculating revenue analytics...</div>';
+        
+        try {
+            const params = new URLSearchParams({ dateField: this.elements.dateFieldSelect.value });
+            if (fromDate) params.append('from', fromDate);
+            if (toDate) params.append('to', toDate);
+            
+            const data = await this.apiRequest(`/api/analytics/revenue?${params.toString()}`);
+            this.renderRevenueAnalytics(data);
+            section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        } catch (error) {
+            console.error('Error loading revenue analytics:', error);
+            this.elements.analyticsBody.innerHTML = `<div class="admin-error">Error loading revenue analytics: ${this.escapeHtml(error.message)}</div>`;
+        }
+    }
+
+    renderRevenueAnalytics(data) {
+        const { overall, unmeasured } = data;
+        const money = cents => cents === null ? '—' : this.formatMoney(cents);
+        const hourLabel = hour => `${hour % 12 || 12}${hour < 12 ? 'am' : 'pm'}`;
+        const table = (title, labelHeader, rows, labelOf) => `
+            <div class="analytics-table-wrapper">
+                <h4>${title}</h4>
+                <table class="admin-table analytics-table">
+                    <thead>
+                        <tr>
+                            <th>${labelHeader}</th>
+                            <th>Orders</th>
+                            <th>Guests</th>
+                            <th>Revenue</th>
+                            <th>Avg Party</th>
+                            <th>Per Guest</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows.map(row => `
+                            <tr>
+                                <td>${this.escapeHtml(labelOf(row))}</td>
+                                <td>${row.orders}</td>
+                                <td>${row.guests}</td>
+                                <td>${money(row.revenue)}</td>
+                                <td>${row.averagePartySize ?? '—'}</td>
+                                <td>${money(row.spendPerGuest)}</td>
+                            </tr>
+                        `).join('') || '<tr><td colspan="6" class="no-items">No orders with guest counts</td></tr>'}
+                    </tbody>
+                </table>
+            </div>
+        `;
+        
+        this.elements.analyticsBody.innerHTML = `
+            ${data.partial ? '<p class="trend-message">Some Commerce7 pages could not be loaded – figures may be incomplete.</p>' : ''}
+            <div class="summary-cards">
+                <div class="summary-card">
+                    <div class="summary-value">${money(overall.spendPerGuest)}</div>
+                    <div class="summary-label">Average spend per guest</div>
+                </div>
+                <div class="summary-card">
+                    <div class="summary-value">${overall.averagePartySize ?? '—'}</div>
+                    <div class="summary-label">Average party size (${overall.orders} orders, ${overall.guests} guests)</div>
+                </div>
+                <div class="summary-card">
+                    <div class="summary-value">${money(overall.revenue)}</div>
+                    <div class="summary-label">Measured revenue</div>
+                </div>
+                <div class="summary-card ${unmeasured.orders ? 'highlight' : ''}">
+                    <div class="summary-value">${money(unmeasured.revenue)}</div>
+                    <div class="summary-label">
+                        Unmeasured revenue${unmeasured.revenuePercent !== null ? ` (${unmeasured.revenuePercent}% of eligible)` : ''} –
+                        ${unmeasured.orders} orders missing guest counts${unmeasured.estimatedGuests !== null ? `, about ${unmeasured.estimatedGuests} guests` : ''}
+                    </div>
+                </div>
+            </div>
+            <div class="analytics-tables">
+                ${table('By Associate', 'Associate', data.byAssociate, row => row.associate)}
+                ${table('By Day of Week', 'Day', data.byDayOfWeek, row => row.day)}
+                ${table(`By Hour (${data.timeZone})`, 'Hour', data.byHour, row => hourLabel(row.hour))}
+            </div>
+        `;
+    }
+
+    // Compliance Leaderboard
+    async loadLeaderboard(fromDate, toDate) {
+        const params = new URLSearchParams({ dateField: this.elements.dateFieldSelect.value });
+        if (fromDate) params.append('from', fromDate);
+        if (toDate) params.append('to', toDate);
+        
+        // Comparison mode fetches the selected range and the period it's compared with
+        const compareTo = fromDate && toDate ? this.elements.compareSelect.value : '';
+        if (compareTo) params.append('compareTo', compareTo);
+        
+        try {
+            const data = await this.apiRequest(`/api/compliance${compareTo ? '/compare' : ''}?${params.toString()}`);
+            this.setState({ leaderboard: data });
+            this.renderLeaderboard();
+        } catch (error) {
+            console.error('Error loading compliance leaderboard:', error);
+            this.setState({ leaderboard: null });
+            this.elements.leaderboardBody.innerHTML = `<tr><td colspan="7" class="no-items">Error loading compliance: ${this.escapeHtml(error.message)}</td></tr>`;
+            this.elements.leaderboardOverall.textContent = '';
+            this.elements.leaderboardSection.style.display = 'block';
+        }
+    }
+
+    sortLeaderboard(field) {
+        const sort = this.state.leaderboardSort;
+        this.state.leaderboardSort = {
+            field,
+            direction: sort.field === field && sort.direction === 'asc' ? 'desc' : 'asc'
+        };
+        this.renderLeaderboard();
+    }
+
+    renderLeaderboard() {
+        const data = this.state.leaderboard;
+        if (!data) return;
+        
+        const { field, direction } = this.state.leaderboardSort;
+        const rows = [...data.associates].sort((a, b) => {
+            const aVal = a[field] ?? '';
+            const bVal = b[field] ?? '';
+            if (aVal < bVal) return direction === 'asc' ? -1 : 1;
+            if (aVal > bVal) return direction === 'asc' ? 1 : -1;
+            return 0;
+        });
+        
+        const comparing = Boolean(data.comparisonRange);
+        this.elements.leaderboardSection.classList.toggle('comparing', comparing);
+        
+        this.elements.leaderboardBody.innerHTML = rows.map(row => `
+            <tr>
+                <td>${this.escapeHtml(row.associate)}</td>
+                <td>${row.eligible}</td>
+                <td>${row.withGuestCount}</td>
+                <td>${row.missing}</td>
+                <td>${this.renderComplianceBar(row.compliancePercent)}</td>
+                ${comparing ? `
+                    <td class="compare-col">${this.renderDelta(row.missingDelta, { lowerIsBetter: true, previous: row.previous.missing })}</td>
+                    <td class="compare-col">${this.renderDelta(row.complianceDelta, { suffix: ' pts', previous: row.previous.compliancePercent === null ? null : `${row.previous.compliancePercent}%` })}</td>
+                ` : ''}
+            </tr>
+        `).join('') || `<tr><td colspan="${comparing ? 7 : 5}" class="no-items">No orders needing guest counts in this range</td></tr>`;
+        
+        const { overall } = data;
+        const overallText = overall.eligible
+            ? `Overall: ${overall.compliancePercent}% (${overall.withGuestCount} of ${overall.eligible} orders)`
+            : '';
+        this.elements.leaderboardOverall.innerHTML = this.escapeHtml(overallText)
+            + (comparing ? ` · vs ${this.formatDate(data.comparisonRange.from)} – ${this.formatDate(data.comparisonRange.to)}: `
+                + `missing ${this.renderDelta(overall.missingDelta, { lowerIsBetter: true })}, `
+                + `compliance ${this.renderDelta(overall.complianceDelta, { suffix: ' pts' })}` : '')
+            + (data.partial ? ' – partial results' : '');
+        
+        document.querySelectorAll('[data-leaderboard-sort]').forEach(header => {
+            header.querySelector('.leaderboard-sort-icon').textContent = header.dataset.leaderboardSort === field
+                ? (direction === 'asc' ? '↑' : '↓')
+                : '↕';
+        });
+        
+        this.elements.leaderboardSection.style.display = 'block';
+    }
+
+    // ▲/▼ change with good changes in green and bad ones in red
+    renderDelta(delta, { lowerIsBetter = false, suffix = '', previous } = {}) {
+        if (delta === null || delta === undefined) return '<span class="delta neutral">—</span>';
+        
+        const title = previous !== undefined && previous !== null ? ` title="Previously ${this.escapeHtml(previous)}"` : '';
+        if (delta === 0) return `<span class="delta neutral"${title}>● 0${suffix}</span>`;
+        
+        const improved = lowerIsBetter ? delta < 0 : delta > 0;
+        return `<span class="delta ${improved ? 'better' : 'worse'}"${title}>${delta > 0 ? '▲' : '▼'} ${Math.abs(delta)}${suffix}</span>`;
+    }
+
+    renderComplianceBar(percent) {
+        if (percent === null) return '—';
+        const level = percent >= 90 ? 'good' : percent >= 70 ? 'fair' : 'poor';
+        return `
+            <div class="compliance-bar">
+                <div class="compliance-fill ${level}" style="width: ${percent}%"></div>
+                <span class="compliance-value">${percent}%</span>
+            </div>
+        `;
+    }
+
+    // Opening "My orders" starts a new visit; reloads of the list (searches, saves) don't
+    async openMyOrders() {
+        try {
+            await this.apiRequest('/api/my-orders/visit', { method: 'POST' });
+        } catch (error) {
+            // Only the "new" marks depend on it; show the orders regardless
+            console.error('Error recording visit:', error);
+        }
+        this.loadMyOrders();
+    }
+
+    // Associate's personal view: their own outstanding orders plus this week's compliance
+    async loadMyOrders() {
+        this.setState({ isLoading: true, error: null });
+        this.showStatus('Loading your orders...', 'loading');
+        
+        try {
+            const data = await this.apiRequest(`/api/my-orders?${new URLSearchParams(this.getOrderFilters())}`);
+            
+            this.setState({
+                orders: data.orders || [],
+                listSource: 'mine',
+                dateField: 'paid',
+                loadedRange: null,
+                orderFilters: data.filters || {},
+                myOrdersSummary: data,
+                isLoading: false
+            });
+            this.updateRangeDateHeader();
+            
+            this.populateAssociateFilter();
+            this.applyFilters();
+            this.renderMyOrdersSummary();
+            this.elements.trendSection.style.display = 'none';
+            this.elements.leaderboardSection.style.display = 'none';
+            this.updateLastSynced(data.lastSyncedAt);
+            this.elements.exportBtn.disabled = false;
+            
+            if (data.partial) {
+                this.showStatus(this.getPartialResultsMessage(this.state.orders.length, data.missingPages), 'warning');
+            } else {
+                this.showStatus(`${this.state.orders.length} of your orders are missing guest counts`, 'success');
+            }
+        } catch (error) {
+            console.error('Error loading my orders:', error);
+            this.setState({ isLoading: false, error: error.message });
+            this.showStatus(`Error loading your orders: ${error.message}`, 'error');
+        }
+    }
+
+    renderMyOrdersSummary() {
+        const summary = this.state.myOrdersSummary;
+        const container = this.elements.myOrdersSummary;
+        
+        if (this.state.listSource !== 'mine' || !summary) {
+            container.style.display = 'none';
+            return;
         }
+        
+        const { week } = summary;
+        const compliance = week.compliancePercent === null ? '—' : `${week.compliancePercent}%`;
+        const newMissing = summary.lastVisitAt
+            ? `<div class="summary-value">${summary.newSinceLastVisit}</div>
+               <div class="summary-label">New since your last visit (${this.formatDate(summary.lastVisitAt)})</div>`
+            : `<div class="summary-value">—</div>
+               <div class="summary-label">First visit – new orders will be counted from now on</div>`;
+        
+        container.innerHTML = `
+            <h3>${this.escapeHtml(summary.associateName)}</h3>
+            <div class="summary-cards">
+                <div class="summary-card">
+                    <div class="summary-value">${this.state.orders.length}</div>
+                    <div class="summary-label">Missing guest counts (last 30 days)</div>
+                </div>
+                <div class="summary-card">
+                    <div class="summary-value">${compliance}</div>
+                    <div class="summary-label">Compliance this week (${week.withGuestCount} of ${week.eligible} orders)</div>
+                </div>
+                <div class="summary-card ${summary.newSinceLastVisit ? 'highlight' : ''}">
+                    ${newMissing}
+                </div>
+            </div>
+        `;
+        container.style.display = 'block';
+    }
+
+    // Keep the summary current when a guest count is saved from "My orders"
+    recordGuestCountInSummary(order) {
+        const summary = this.state.myOrdersSummary;
+        if (!summary || !order) return;
+        
+        const week = summary.week;
+        // The winery's business day, like week.from - a Sunday-evening order belongs to that week
+        const paidAt = order.orderPaidDate || order.orderDate;
+        if (paidAt && this.toLocalDay(new Date(paidAt)) >= week.from) {
+            week.withGuestCount++;
+            week.missing--;
+            week.compliancePercent = Math.round((week.withGuestCount / week.eligible) * 1000) / 10;
+        }
+        if (order.newSinceLastVisit) {
+            summary.newSinceLastVisit--;
+        }
+    }
+
+    // Reload whichever list is showing, e.g. after associate mappings change
+    reloadCurrentList({ listOnly = false } = {}) {
+        if (this.state.listSource === 'queue') {
+            this.loadMissingQueue();
+        } else if (this.state.listSource === 'mine') {
+            this.loadMyOrders();
+        } else if (this.state.loadedRange) {
+            this.loadOrders({ listOnly });
+        }
+    }
+
+    // Search and order filter values for the server, leaving out blanks
+    getOrderFilters() {
+        const filters = {
+            search: this.elements.orderSearchInput.value.trim(),
+            minTotal: this.elements.minTotalInput.value,
+            maxTotal: this.elements.maxTotalInput.value,
+            minItems: this.elements.minItemsInput.value,
+            maxItems: this.elements.maxItemsInput.value,
+            kind: this.elements.orderKindSelect.value === 'all' ? '' : this.elements.orderKindSelect.value
+        };
+        return Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== ''));
+    }
+
+    // Refresh the queue count (and the list, when showing the queue) every minute
+    startMissingQueuePolling() {
+        const refresh = async () => {
+            try {
+                const showingQueue = this.state.listSource === 'queue';
+                const query = showingQueue ? `?${new URLSearchParams(this.state.orderFilters)}` : '';
+                const data = await this.apiRequest(`/api/missing-queue${query}`);
+                if (showingQueue && this.state.listSource === 'queue' && !this.state.isLoading) {
+                    this.setState({ orders: data.orders || [] });
+                    this.applyFilters();
+                }
+                this.updateMissingQueueCount(data.total);
+            } catch (error) {
+                console.error('Error refreshing missing queue:', error);
+            }
+        };
+        
+        refresh();
+        setInterval(refresh, 60000);
+    }
+
+    updateMissingQueueCount(count) {
+        this.state.missingQueueTotal = count;
+        this.elements.missingQueueCount.textContent = count ? `(${count})` : '';
+    }
+
+    // Canonical associate name from the server's identity mapping, so name variants group together
+    getAssociateName(order) {
+        return order.associate?.name || order.salesAssociate?.name || 'Unknown';
     }
 
     // Populate associate filter dropdown
     populateAssociateFilter() {
         const associates = [...new Set(
             this.state.orders
-                .map(order => order.salesAssociate?.name)
-                .filter(Boolean)
-        )];
+                .map(order => this.getAssociateName(order))
+        )].sort();
         
         this.elements.associateOptions.innerHTML = '';
         
-        associates.forEach(associate => {
+        // Names are editable display names: escape them, and number the ids instead of using the name
+        associates.forEach((associate, index) => {
             const option = document.createElement('div');
             option.className = 'dropdown-option';
             option.innerHTML = `
-                <input type="checkbox" id="associate-${associate}" value="${associate}">
-                <label for="associate-${associate}">${associate}</label>
+                <input type="checkbox" id="associate-option-${index}" value="${this.escapeHtml(associate)}">
+                <label for="associate-option-${index}">${this.escapeHtml(associate)}</label>
             `;
             
             const checkbox = option.querySelector('input');
@@ -241,34 +938,35 @@ class GuestCountDashboard {
     }
 
     // Filtering & Sorting
+    // The associate and review flag filters apply here; search and the order filters were applied by
+    // the server when the list loaded
     applyFilters() {
-        const searchTerm = this.elements.orderSearchInput.value.toLowerCase();
+        const flagFilter = this.elements.flagFilter.value;
         
         this.state.filteredOrders = this.state.orders.filter(order => {
             // Filter by associate
             if (this.state.selectedAssociates.size > 0 && 
-                !this.state.selectedAssociates.has(order.salesAssociate?.name)) {
+                !this.state.selectedAssociates.has(this.getAssociateName(order))) {
                 return false;
             }
             
-            // Filter by search term
-            if (searchTerm && !order.orderNumber.toLowerCase().includes(searchTerm)) {
+            // Filter by review flag
+            if ((flagFilter === 'flagged' && !order.reviewFlag) || (flagFilter === 'unflagged' && order.reviewFlag)) {
                 return false;
             }
             
             return true;
         });
         
-        // Apply current sort
-        if (this.state.sortConfig.field) {
-            this.sortOrders(this.state.sortConfig.field, false);
-        }
+        // Keep the current sort; exports follow the order shown here
+        this.applySort();
         
         this.renderOrders();
         this.updateResultsTitle();
     }
 
-    sortOrders(field, updateDisplay = true) {
+    // Column header click: sort by the field, or reverse the direction if it's already sorted by it
+    sortOrders(field) {
         if (this.state.sortConfig.field === field) {
             this.state.sortConfig.direction = this.state.sortConfig.direction === 'asc' ? 'desc' : 'asc';
         } else {
@@ -276,31 +974,42 @@ class GuestCountDashboard {
             this.state.sortConfig.direction = 'asc';
         }
         
+        this.applySort();
+        this.renderOrders();
+        this.updateSortIcons();
+    }
+
+    // Sort the filtered orders by the current sort config
+    applySort() {
+        const { field } = this.state.sortConfig;
+        if (!field) return;
+        
         this.state.filteredOrders.sort((a, b) => {
             let aVal = a[field];
             let bVal = b[field];
             
             // Handle nested properties
             if (field === 'salesAssociate') {
-                aVal = a.salesAssociate?.name || '';
-                bVal = b.salesAssociate?.name || '';
-            } else if (field === 'orderDate') {
-                aVal = new Date(a.orderDate || a.orderPaidDate);
-                bVal = new Date(b.orderDate || b.orderPaidDate);
+                aVal = this.getAssociateName(a);
+                bVal = this.getAssociateName(b);
+            } else if (field === 'rangeDate') {
+                aVal = new Date(this.getRangeDate(a));
+                bVal = new Date(this.getRangeDate(b));
             } else if (field === 'totalAmount') {
                 aVal = parseFloat(aVal) || 0;
                 bVal = parseFloat(bVal) || 0;
+            } else if (field === 'guestCountRule') {
+                aVal = a.guestCountRule?.name || '';
+                bVal = b.guestCountRule?.name || '';
+            } else if (field === 'reviewFlag') {
+                aVal = a.reviewFlag ? 1 : 0;
+                bVal = b.reviewFlag ? 1 : 0;
             }
             
             if (aVal < bVal) return this.state.sortConfig.direction === 'asc' ? -1 : 1;
             if (aVal > bVal) return this.state.sortConfig.direction === 'asc' ? 1 : -1;
             return 0;
         });
-        
-        if (updateDisplay) {
-            this.renderOrders();
-            this.updateSortIcons();
-        }
     }
 
     updateSortIcons() {
@@ -326,10 +1035,16 @@ class GuestCountDashboard {
         this.showStatus('Loading order details...', 'loading');
         
         try {
-            const response = await fetch(`/api/order/${orderId}`);
+            const response = await this.authFetch(`/api/order/${orderId}`);
             const orderDetails = await response.json();
             
-            this.displayOrderModal(orderDetails);
+            // The matching rule and review flag come from our list, not Commerce7
+            const listedOrder = this.state.orders.find(order => order.id === orderId);
+            this.displayOrderModal({
+                ...orderDetails,
+                guestCountRule: listedOrder?.guestCountRule,
+                reviewFlag: listedOrder?.reviewFlag || null
+            });
             this.state.expandedOrderId = orderId;
             this.showStatus('', 'success');
             
@@ -359,7 +1074,7 @@ class GuestCountDashboard {
         });
         
         // Generate associate color class
-        const associateColorClass = this.getAssociateColorClass(order.salesAssociate?.name);
+        const associateColorClass = this.getAssociateColorClass(this.getAssociateName(order));
         
         // Check if high-value order (over $500)
         const isHighValue = parseFloat(order.totalAmount) > 500;
@@ -378,6 +1093,7 @@ class GuestCountDashboard {
                             <h2 class="order-number">${order.orderNumber}</h2>
                             <div class="order-badges">
                                 ${!order.guestCount ? '<span class="badge badge-error">Missing Guest Count</span>' : ''}
+                                ${order.guestCountRule ? `<span class="badge badge-info" title="Rule requiring a guest count">${this.escapeHtml(order.guestCountRule.name)}</span>` : ''}
                                 ${isHighValue ? '<span class="badge badge-warning">High Value</span>' : ''}
                                 ${hasReservations ? '<span class="badge badge-info">Has Reservations</span>' : ''}
                             </div>
@@ -397,6 +1113,14 @@ class GuestCountDashboard {
                     </div>
                 </div>
 
+                <!-- Guest Count Entry -->
+                ${!order.guestCount && this.can('edit') ? `
+                    <div class="guest-count-section">
+                        <label for="modal-guest-count">Set Guest Count:</label>
+                        ${this.renderGuestCountInput(order.id, 'modal-guest-count')}
+                    </div>
+                ` : ''}
+
                 <!-- Quick Actions -->
                 <div class="quick-actions">
                     <button class="action-btn primary" onclick="dashboard.openInCommerce7('${order.id}')">
@@ -407,10 +1131,17 @@ class GuestCountDashboard {
                         <span class="btn-icon">📋</span>
                         Copy Order #
                     </button>
-                    <button class="action-btn toggle" onclick="dashboard.toggleFlagForReview('${order.id}')" data-flagged="false">
-                        <span class="btn-icon">🚩</span>
-                        Flag for Review
-                    </button>
+                    ${this.can('edit') ? `
+                        <button class="action-btn toggle ${order.reviewFlag ? 'flagged' : ''}" id="flag-review-btn" onclick="dashboard.toggleFlagForReview('${order.id}', '${order.orderNumber}')" data-flagged="${Boolean(order.reviewFlag)}">
+                            <span class="btn-icon">${order.reviewFlag ? '✅' : '🚩'}</span>
+                            ${order.reviewFlag ? 'Clear Review Flag' : 'Flag for Review'}
+                        </button>
+                    ` : ''}
+                </div>
+
+                <!-- Review Flag -->
+                <div class="review-flag-section" id="review-flag-section">
+                    ${this.renderReviewFlagInfo(order.reviewFlag)}
                 </div>
 
                 <!-- Items Table -->
@@ -493,8 +1224,8 @@ class GuestCountDashboard {
                     <div class="info-section">
                         <h4>Sales Associate</h4>
                         <div class="associate-info">
-                            <span class="associate-name">${order.salesAssociate?.name || 'Unknown'}</span>
-                            <span class="associate-pill">${order.salesAssociate?.name || 'Unknown'}</span>
+                            <span class="associate-name">${this.escapeHtml(this.getAssociateName(order))}</span>
+                            <span class="associate-pill">${this.escapeHtml(this.getAssociateName(order))}</span>
                         </div>
                     </div>
                     
@@ -520,6 +1251,66 @@ class GuestCountDashboard {
         this.elements.orderDetailsModal.classList.add('show');
     }
 
+    // Guest Count Entry
+    renderGuestCountInput(orderId, inputId = '') {
+        if (!this.can('edit')) {
+            return '<span class="guest-count-missing">Missing</span>';
+        }
+        
+        return `
+            <div class="guest-count-entry">
+                <input type="number" ${inputId ? `id="${inputId}"` : ''} class="guest-count-input" min="1" max="500" step="1" placeholder="#"
+                    onkeydown="if (event.key === 'Enter') dashboard.saveGuestCount('${orderId}', this)">
+                <button class="guest-count-save" onclick="dashboard.saveGuestCount('${orderId}', this.previousElementSibling)">Save</button>
+            </div>
+        `;
+    }
+
+    async saveGuestCount(orderId, input) {
+        const guestCount = Number(input.value);
+        
+        if (!Number.isInteger(guestCount) || guestCount < 1 || guestCount > 500) {
+            this.showToast('Enter a whole number of guests between 1 and 500', 'error');
+            input.focus();
+            return;
+        }
+        
+        const saveBtn = input.nextElementSibling;
+        input.disabled = true;
+        saveBtn.disabled = true;
+        
+        try {
+            await this.apiRequest(`/api/order/${orderId}/guest-count`, { method: 'PUT', body: { guestCount } });
+            
+            const order = this.state.orders.find(o => o.id === orderId);
+            this.removeOrderFromList(orderId);
+            if (this.state.expandedOrderId === orderId) {
+                this.closeModal();
+            }
+            
+            this.showToast(`Guest count of ${guestCount} saved${order ? ` for order ${order.orderNumber}` : ''}`, 'success');
+        } catch (error) {
+            console.error('Error saving guest count:', error);
+            this.showToast(`Error saving guest count: ${error.message}`, 'error');
+            input.disabled = false;
+            saveBtn.disabled = false;
+        }
+    }
+
+    // Drop an order that no longer needs attention and refresh the views
+    removeOrderFromList(orderId) {
+        const removed = this.state.orders.find(order => order.id === orderId);
+        this.setState({ orders: this.state.orders.filter(order => order.id !== orderId) });
+        this.applyFilters();
+        
+        if (this.state.listSource === 'queue') {
+            this.updateMissingQueueCount(Math.max(0, this.state.missingQueueTotal - 1));
+        } else if (this.state.listSource === 'mine') {
+            this.recordGuestCountInSummary(removed);
+            this.renderMyOrdersSummary();
+        }
+    }
+
     closeModal() {
         this.elements.orderDetailsModal.classList.remove('show');
         this.state.expandedOrderId = null;
@@ -541,7 +1332,7 @@ class GuestCountDashboard {
         if (this.state.filteredOrders.length === 0) {
             tbody.innerHTML = `
                 <tr>
-                    <td colspan="5" style="text-align: center; padding: 40px; color: #999;">
+                    <td colspan="8" style="text-align: center; padding: 40px; color: #999;">
                         ${this.state.orders.length === 0 ? 'No orders loaded' : 'No orders match your filters'}
                     </td>
                 </tr>
@@ -552,10 +1343,13 @@ class GuestCountDashboard {
         this.state.filteredOrders.forEach(order => {
             const row = document.createElement('tr');
             row.innerHTML = `
-                <td><span class="order-number" onclick="dashboard.showOrderDetails('${order.id}')">${order.orderNumber}</span></td>
-                <td>${order.salesAssociate?.name || 'Unknown'}</td>
-                <td>${this.formatDate(order.orderDate || order.orderPaidDate)}</td>
+                <td><span class="order-number" onclick="dashboard.showOrderDetails('${order.id}')">${order.orderNumber}</span>${this.renderNewBadge(order)}</td>
+                <td>${this.escapeHtml(this.getAssociateName(order))}</td>
+                <td>${this.formatDate(this.getRangeDate(order))}</td>
                 <td>${this.formatMoney(order.total || order.totalAmount)}</td>
+                <td>${this.escapeHtml(order.guestCountRule?.name || '')}</td>
+                <td>${this.renderFlagIndicator(order.reviewFlag)}</td>
+                <td>${this.renderGuestCountInput(order.id)}</td>
                 <td><button class="expand-btn" onclick="dashboard.showOrderDetails('${order.id}')">▶</button></td>
             `;
             tbody.appendChild(row);
@@ -580,28 +1374,59 @@ class GuestCountDashboard {
             card.className = 'order-card';
             card.innerHTML = `
                 <div class="card-header">
-                    <span class="card-order-number" onclick="dashboard.showOrderDetails('${order.id}')">${order.orderNumber}</span>
+                    <span class="card-order-number" onclick="dashboard.showOrderDetails('${order.id}')">${order.orderNumber}</span>${this.renderNewBadge(order)}
                     <button class="card-expand-btn" onclick="dashboard.showOrderDetails('${order.id}')">▶</button>
                 </div>
                 <div class="card-details">
                     <div class="card-detail">
                         <span class="card-detail-label">Sales Associate</span>
-                        <span class="card-detail-value">${order.salesAssociate?.name || 'Unknown'}</span>
+                        <span class="card-detail-value">${this.escapeHtml(this.getAssociateName(order))}</span>
                     </div>
                     <div class="card-detail">
-                        <span class="card-detail-label">Order Date</span>
-                        <span class="card-detail-value">${this.formatDate(order.orderDate || order.orderPaidDate)}</span>
+                        <span class="card-detail-label">${this.escapeHtml(this.getDateFieldLabel())}</span>
+                        <span class="card-detail-value">${this.formatDate(this.getRangeDate(order))}</span>
                     </div>
                     <div class="card-detail">
                         <span class="card-detail-label">Total Amount</span>
                         <span class="card-detail-value">${this.formatMoney(order.total || order.totalAmount)}</span>
                     </div>
+                    <div class="card-detail">
+                        <span class="card-detail-label">Required By</span>
+                        <span class="card-detail-value">${this.escapeHtml(order.guestCountRule?.name || '')}</span>
+                    </div>
+                    ${order.reviewFlag ? `
+                    <div class="card-detail">
+                        <span class="card-detail-label">Review Flag</span>
+                        <span class="card-detail-value">${this.renderFlagIndicator(order.reviewFlag)} ${this.escapeHtml(order.reviewFlag.flagged_by_email)}</span>
+                    </div>
+                    ` : ''}
                 </div>
             `;
             container.appendChild(card);
         });
     }
 
+    // The date the loaded range was filtered on; live queue orders fall back to their paid date
+    getRangeDate(order) {
+        return order.rangeDate || order.orderPaidDate || order.orderDate;
+    }
+
+    // Label of a date field as shown in the "Date Applies To" selector
+    getDateFieldLabel(dateField = this.state.dateField) {
+        const option = this.elements.dateFieldSelect.querySelector(`option[value="${dateField}"]`);
+        return option ? option.textContent.trim() : 'Order Date';
+    }
+
+    // The date column shows whichever date the loaded list was filtered on
+    updateRangeDateHeader() {
+        this.elements.rangeDateHeader.textContent = this.getDateFieldLabel();
+    }
+
+    // Marks orders that went missing since the associate's last visit to "My orders"
+    renderNewBadge(order) {
+        return order.newSinceLastVisit ? '<span class="new-badge">New</span>' : '';
+    }
+
     switchView(view) {
         this.state.currentView = view;
         
@@ -617,56 +1442,644 @@ class GuestCountDashboard {
     }
 
     // Excel Export
-    async exportToExcel() {
-        if (this.state.filteredOrders.length === 0) {
+    // Download exactly the orders on screen, in their displayed order, in the format picked next to
+    // the export button. For the date range list the range is the one it was loaded with, not whatever
+    // the date inputs say now; the filters are sent so the file and its name can describe them.
+    async exportReport() {
+        const { filteredOrders, listSource, loadedRange, dateField, sortConfig } = this.state;
+        
+        if (filteredOrders.length === 0 || (listSource === 'range' && !loadedRange)) {
             this.showStatus('No orders to export', 'error');
             return;
         }
         
-        this.showStatus('Generating Excel file...', 'loading');
+        const format = this.elements.exportFormatSelect.value;
+        const formatLabel = this.elements.exportFormatSelect.selectedOptions[0].textContent;
+        this.showStatus(`Generating ${formatLabel} file...`, 'loading');
         
         try {
-            const fromDate = this.elements.fromDateInput.value;
-            const toDate = this.elements.toDateInput.value;
-            
-            const url = `/export?from=${fromDate}&to=${toDate}&associates=${Array.from(this.state.selectedAssociates).join(',')}&search=${this.elements.orderSearchInput.value}`;
+            // My orders and the live queue have no range; the server looks their orders up by ID
+            const params = new URLSearchParams(listSource === 'range'
+                ? { format, list: listSource, from: loadedRange.from, to: loadedRange.to, dateField }
+                : { format, list: listSource });
             
-            const response = await fetch(url);
+            const response = await this.authFetch(`/export?${params}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    orderIds: filteredOrders.map(order => order.id),
+                    filters: {
+                        ...this.state.orderFilters,
+                        associates: Array.from(this.state.selectedAssociates),
+                        flag: this.elements.flagFilter.value
+                    },
+                    sort: sortConfig.field ? sortConfig : null
+                })
+            });
             
             if (!response.ok) {
-                throw new Error('Failed to generate Excel file');
+                const data = await response.json().catch(() => ({}));
+                throw new Error(data.message || `Failed to generate ${formatLabel} file`);
             }
             
+            const missingPages = response.headers.get('X-Partial-Results');
+            const skipped = parseInt(response.headers.get('X-Skipped-Orders'), 10) || 0;
+            const fileName = (response.headers.get('Content-Disposition') || '').match(/filename="?([^";]+)"?/);
             const blob = await response.blob();
             const link = document.createElement('a');
             link.href = window.URL.createObjectURL(blob);
-            link.download = `guest_count_report_${new Date().toISOString().split('T')[0]}.xlsx`;
+            link.download = fileName ? fileName[1] : `guest_count_report_${this.toLocalDay(new Date())}.${format}`;
             document.body.appendChild(link);
             link.click();
             document.body.removeChild(link);
             
-            this.showStatus('Excel file downloaded successfully!', 'success');
+            if (missingPages) {
+                this.showStatus(`${formatLabel} file downloaded, but Commerce7 pages could not be fetched (${missingPages.split(',').join(', ')}) - the report may be incomplete.`, 'warning');
+            } else if (skipped > 0) {
+                this.showStatus(`${formatLabel} file downloaded without ${skipped} order${skipped === 1 ? '' : 's'} that could no longer be found - reload to refresh the list.`, 'warning');
+            } else {
+                this.showStatus(`${formatLabel} file downloaded successfully!`, 'success');
+            }
             
         } catch (error) {
-            console.error('Error exporting to Excel:', error);
-            this.showStatus('Error generating Excel file', 'error');
+            console.error(`Error exporting to ${formatLabel}:`, error);
+            this.showStatus(`Error generating ${formatLabel} file: ${error.message}`, 'error');
         }
     }
 
+    // Admin: Exclusion Rules
+    async openExclusionsAdmin() {
+        this.openAdminModal('Exclusion Rules', '<div class="admin-loading">Loading exclusion rules...</div>');
+        
+        try {
+            const data = await this.apiRequest('/api/exclusions');
+            this.renderExclusionsAdmin(data.exclusions || []);
+        } catch (error) {
+            console.error('Error loading exclusion rules:', error);
+            this.elements.adminModalBody.innerHTML = `<div class="admin-error">Error loading exclusion rules: ${this.escapeHtml(error.message)}</div>`;
+        }
+    }
+
+    renderExclusionsAdmin(exclusions) {
+        this.elements.adminModalBody.innerHTML = `
+            <p class="admin-help">Orders containing an enabled product below never need a guest count. Changes apply to the next order load.</p>
+            <table class="admin-table">
+                <thead>
+                    <tr>
+                        <th>Label</th>
+                        <th>Commerce7 Product ID</th>
+                        <th>Enabled</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${exclusions.map(rule => `
+                        <tr data-id="${rule.id}">
+                            <td><input type="text" class="admin-input" data-field="label" value="${this.escapeHtml(rule.label)}"></td>
+                            <td><input type="text" class="admin-input mono" data-field="productId" value="${this.escapeHtml(rule.product_id)}"></td>
+                            <td><input type="checkbox" data-field="enabled" ${rule.enabled ? 'checked' : ''}></td>
+                            <td><button class="action-btn secondary" data-action="save">Save</button></td>
+                        </tr>
+                    `).join('') || '<tr><td colspan="4" class="no-items">No exclusion rules yet</td></tr>'}
+                </tbody>
+            </table>
+            <form class="admin-form" id="exclusion-add-form">
+                <h4>Add Exclusion</h4>
+                <input type="text" class="admin-input" name="label" placeholder="Label (e.g. Trade Guest)" required>
+                <input type="text" class="admin-input mono" name="productId" placeholder="Commerce7 product ID" required>
+                <button type="submit" class="action-btn primary">Add</button>
+            </form>
+        `;
+        
+        this.elements.adminModalBody.querySelectorAll('tr[data-id]').forEach(row => {
+            const save = () => this.saveExclusion(row);
+            row.querySelector('[data-action="save"]').addEventListener('click', save);
+            row.querySelector('[data-field="enabled"]').addEventListener('change', save);
+        });
+        
+        document.getElementById('exclusion-add-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.addExclusion(e.target);
+        });
+    }
+
+    async saveExclusion(row) {
+        const changes = {
+            label: row.querySelector('[data-field="label"]').value,
+            productId: row.querySelector('[data-field="productId"]').value,
+            enabled: row.querySelector('[data-field="enabled"]').checked
+        };
+        
+        try {
+            await this.apiRequest(`/api/exclusions/${row.dataset.id}`, { method: 'PATCH', body: changes });
+            this.showToast(`Exclusion "${changes.label}" saved`, 'success');
+        } catch (error) {
+            console.error('Error saving exclusion rule:', error);
+            this.showToast(`Error saving exclusion: ${error.message}`, 'error');
+        }
+    }
+
+    async addExclusion(form) {
+        const body = {
+            label: form.elements.label.value,
+            productId: form.elements.productId.value
+        };
+        
+        try {
+            await this.apiRequest('/api/exclusions', { method: 'POST', body });
+            this.showToast(`Exclusion "${body.label}" added`, 'success');
+            this.openExclusionsAdmin();
+        } catch (error) {
+            console.error('Error adding exclusion rule:', error);
+            this.showToast(`Error adding exclusion: ${error.message}`, 'error');
+        }
+    }
+
+    // Admin: Guest Count Rules
+    async openRulesAdmin() {
+        this.openAdminModal('Guest Count Rules', '<div class="admin-loading">Loading guest count rules...</div>');
+        
+        try {
+            const data = await this.apiRequest('/api/guest-count-rules');
+            this.state.guestCountRules = data.rules || [];
+            this.renderRulesAdmin();
+        } catch (error) {
+            console.error('Error loading guest count rules:', error);
+            this.elements.adminModalBody.innerHTML = `<div class="admin-error">Error loading guest count rules: ${this.escapeHtml(error.message)}</div>`;
+        }
+    }
+
+    renderRulesAdmin(editingRule = null) {
+        const rules = this.state.guestCountRules;
+        const conditions = editingRule?.conditions || {};
+        const listValue = key => this.escapeHtml((conditions[key] || []).join(', '));
+        
+        this.elements.adminModalBody.innerHTML = `
+            <p class="admin-help">An order needs a guest count when it matches an enabled rule (lowest priority first). Leave a condition blank to match anything; lists are comma-separated. With no enabled rules, every order needs a count.</p>
+            <table class="admin-table">
+                <thead>
+                    <tr>
+                        <th>Priority</th>
+                        <th>Name</th>
+                        <th>Conditions</th>
+                        <th>Enabled</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rules.map(rule => `
+                        <tr data-id="${rule.id}">
+                            <td>${rule.priority}</td>
+                            <td>${this.escapeHtml(rule.name)}</td>
+                            <td class="rule-conditions">${this.escapeHtml(this.describeRuleConditions(rule.conditions))}</td>
+                            <td><input type="checkbox" data-field="enabled" ${rule.enabled ? 'checked' : ''}></td>
+                            <td><button class="action-btn secondary" data-action="edit">Edit</button></td>
+                        </tr>
+                    `).join('') || '<tr><td colspan="5" class="no-items">No rules - every order needs a guest count</td></tr>'}
+                </tbody>
+            </table>
+            <form class="admin-form rule-form" id="rule-form">
+                <h4>${editingRule ? `Edit "${this.escapeHtml(editingRule.name)}"` : 'Add Rule'}</h4>
+                <input type="text" class="admin-input" name="name" placeholder="Rule name" value="${this.escapeHtml(editingRule?.name || '')}" required>
+                <input type="number" class="admin-input" name="priority" placeholder="Priority" value="${editingRule?.priority ?? 100}" step="1">
+                <input type="text" class="admin-input" name="channels" placeholder="Sales channels (e.g. POS, Web)" value="${listValue('channels')}">
+                <input type="text" class="admin-input" name="posLocations" placeholder="POS locations" value="${listValue('posLocations')}">
+                <input type="text" class="admin-input" name="orderTypes" placeholder="Order types (e.g. Carry Out, Pickup)" value="${listValue('orderTypes')}">
+                <input type="text" class="admin-input" name="productTypes" placeholder="Item product types (e.g. Tasting, Wine)" value="${listValue('productTypes')}">
+                <input type="text" class="admin-input" name="customerTags" placeholder="Customer tags" value="${listValue('customerTags')}">
+                <input type="number" class="admin-input" name="minTotal" placeholder="Min total ($)" value="${conditions.minTotal ?? ''}" min="0" step="0.01">
+                <input type="number" class="admin-input" name="maxTotal" placeholder="Max total ($)" value="${conditions.maxTotal ?? ''}" min="0" step="0.01">
+                <button type="submit" class="action-btn primary">${editingRule ? 'Save Rule' : 'Add Rule'}</button>
+                ${editingRule ? '<button type="button" class="action-btn secondary" data-action="cancel">Cancel</button>' : ''}
+            </form>
+        `;
+        
+        this.elements.adminModalBody.querySelectorAll('tr[data-id]').forEach(row => {
+            const rule = rules.find(r => r.id === row.dataset.id);
+            row.querySelector('[data-action="edit"]').addEventListener('click', () => this.renderRulesAdmin(rule));
+            row.querySelector('[data-field="enabled"]').addEventListener('change', (e) => {
+                this.saveRule(rule.id, { enabled: e.target.checked });
+            });
+        });
+        
+        const form = document.getElementById('rule-form');
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveRule(editingRule?.id, this.readRuleForm(form));
+        });
+        form.querySelector('[data-action="cancel"]')?.addEventListener('click', () => this.renderRulesAdmin());
+    }
+
+    readRuleForm(form) {
+        const value = name => form.elements[name].value.trim();
+        
+        return {
+            name: value('name'),
+            priority: parseInt(value('priority'), 10) || 100,
+            conditions: {
+                channels: value('channels'),
+                posLocations: value('posLocations'),
+                orderTypes: value('orderTypes'),
+                productTypes: value('productTypes'),
+                customerTags: value('customerTags'),
+                minTotal: value('minTotal'),
+                maxTotal: value('maxTotal')
+            }
+        };
+    }
+
+    async saveRule(ruleId, body) {
+        try {
+            if (ruleId) {
+                await this.apiRequest(`/api/guest-count-rules/${ruleId}`, { method: 'PATCH', body });
+            } else {
+                await this.apiRequest('/api/guest-count-rules', { method: 'POST', body });
+            }
+            this.showToast('Guest count rule saved', 'success');
+            this.openRulesAdmin();
+        } catch (error) {
+            console.error('Error saving guest count rule:', error);
+            this.showToast(`Error saving rule: ${error.message}`, 'error');
+        }
+    }
+
+    describeRuleConditions(conditions = {}) {
+        const labels = {
+            channels: 'Channel',
+            posLocations: 'POS location',
+            orderTypes: 'Order type',
+            productTypes: 'Product type',
+            customerTags: 'Customer tag'
+        };
+        
+        const parts = Object.entries(labels)
+            .filter(([key]) => conditions[key]?.length)
+            .map(([key, label]) => `${label}: ${conditions[key].join(' / ')}`);
+        
+        if (conditions.minTotal != null) parts.push(`Total ≥ $${conditions.minTotal}`);
+        if (conditions.maxTotal != null) parts.push(`Total ≤ $${conditions.maxTotal}`);
+        
+        return parts.join('; ') || 'Any order';
+    }
+
+    // Admin: Associates (Commerce7 associate IDs and name variants mapped to one person)
+    async openAssociatesAdmin() {
+        this.openAdminModal('Associates', '<div class="admin-loading">Loading associates...</div>');
+        
+        try {
+            const params = new URLSearchParams();
+            if (this.elements.fromDateInput.value) params.append('from', this.elements.fromDateInput.value);
+            if (this.elements.toDateInput.value) params.append('to', this.elements.toDateInput.value);
+            
+            this.state.associateAdmin = await this.apiRequest(`/api/associate-identities?${params.toString()}`);
+            this.renderAssociatesAdmin();
+        } catch (error) {
+            console.error('Error loading associates:', error);
+            this.elements.adminModalBody.innerHTML = `<div class="admin-error">Error loading associates: ${this.escapeHtml(error.message)}</div>`;
+        }
+    }
+
+    renderAssociatesAdmin() {
+        const { identities = [], unmapped = [], users = [] } = this.state.associateAdmin;
+        const userOptions = selectedId => `
+            <option value="">— No dashboard user —</option>
+            ${users.map(user => `<option value="${user.id}" ${user.id === selectedId ? 'selected' : ''}>${this.escapeHtml(user.email)}</option>`).join('')}
+        `;
+        const identityOptions = excludeId => identities
+            .filter(identity => identity.id !== excludeId)
+            .map(identity => `<option value="${identity.id}">${this.escapeHtml(identity.display_name)}</option>`)
+            .join('');
+        
+        this.elements.adminModalBody.innerHTML = `
+            <p class="admin-help">Orders are grouped, filtered and exported under each associate's display name. An order belongs to an associate when its Commerce7 associate ID or sales associate name matches below. Lists are comma-separated.</p>
+            <table class="admin-table">
+                <thead>
+                    <tr>
+                        <th>Display Name</th>
+                        <th>Name Variants</th>
+                        <th>Commerce7 Associate IDs</th>
+                        <th>Dashboard User</th>
+                        <th></th>
+                        <th>Merge Into</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${identities.map(identity => `
+                        <tr data-id="${identity.id}">
+                            <td><input type="text" class="admin-input" data-field="displayName" value="${this.escapeHtml(identity.display_name)}"></td>
+                            <td><input type="text" class="admin-input" data-field="nameVariants" value="${this.escapeHtml((identity.name_variants || []).join(', '))}"></td>
+                            <td><input type="text" class="admin-input mono" data-field="c7AssociateIds" value="${this.escapeHtml((identity.c7_associate_ids || []).join(', '))}"></td>
+                            <td><select class="admin-input" data-field="userId">${userOptions(identity.user_id)}</select></td>
+                            <td><button class="action-btn secondary" data-action="save">Save</button></td>
+                            <td>
+                                <select class="admin-input" data-action="merge">
+                                    <option value="">—</option>
+                                    ${identityOptions(identity.id)}
+                                </select>
+                            </td>
+                        </tr>
+                    `).join('') || '<tr><td colspan="6" class="no-items">No associates mapped yet</td></tr>'}
+                </tbody>
+            </table>
+            <h4 class="admin-subheading">Unmapped Commerce7 Associates</h4>
+            <table class="admin-table">
+                <thead>
+                    <tr>
+                        <th>Commerce7 Name</th>
+                        <th>Commerce7 Associate ID</th>
+                        <th>Orders</th>
+                        <th>Map To</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${unmapped.map((entry, index) => `
+                        <tr data-unmapped="${index}">
+                            <td>${this.escapeHtml(entry.name)}</td>
+                            <td class="mono">${this.escapeHtml(entry.c7AssociateId || '—')}</td>
+                            <td>${entry.orderCount}</td>
+                            <td>
+                                <select class="admin-input" data-field="target">
+                                    <option value="new">+ New associate</option>
+                                    ${identityOptions(null)}
+                                </select>
+                                <button class="action-btn secondary" data-action="map">Map</button>
+                            </td>
+                        </tr>
+                    `).join('') || '<tr><td colspan="4" class="no-items">Every associate in the selected date range is mapped</td></tr>'}
+                </tbody>
+            </table>
+            <form class="admin-form" id="associate-add-form">
+                <h4>Add Associate</h4>
+                <input type="text" class="admin-input" name="displayName" placeholder="Display name" required>
+                <button type="submit" class="action-btn primary">Add</button>
+            </form>
+        `;
+        
+        this.elements.adminModalBody.querySelectorAll('tr[data-id]').forEach(row => {
+            row.querySelector('[data-action="save"]').addEventListener('click', () => this.saveAssociate(row));
+            row.querySelector('[data-action="merge"]').addEventListener('change', (e) => {
+                if (e.target.value) this.mergeAssociate(row.dataset.id, e.target.value);
+            });
+        });
+        
+        this.elements.adminModalBody.querySelectorAll('tr[data-unmapped]').forEach(row => {
+            row.querySelector('[data-action="map"]').addEventListener('click', () => {
+                this.mapAssociate(unmapped[row.dataset.unmapped], row.querySelector('[data-field="target"]').value);
+            });
+        });
+        
+        document.getElementById('associate-add-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveAssociateChanges('/api/associate-identities', 'POST', { displayName: e.target.elements.displayName.value }, 'Associate added');
+        });
+    }
+
+    async saveAssociate(row) {
+        const list = field => row.querySelector(`[data-field="${field}"]`).value.split(',').map(value => value.trim()).filter(Boolean);
+        
+        await this.saveAssociateChanges(`/api/associate-identities/${row.dataset.id}`, 'PATCH', {
+            displayName: row.querySelector('[data-field="displayName"]').value,
+            nameVariants: list('nameVariants'),
+            c7AssociateIds: list('c7AssociateIds'),
+            userId: row.querySelector('[data-field="userId"]').value
+        }, 'Associate saved');
+    }
+
+    async mergeAssociate(sourceId, targetId) {
+        const { identities } = this.state.associateAdmin;
+        const source = identities.find(identity => identity.id === sourceId);
+        const target = identities.find(identity => identity.id === targetId);
+        
+        if (!confirm(`Merge "${source.display_name}" into "${target.display_name}"? Its orders will be reported under "${target.display_name}".`)) {
+            this.renderAssociatesAdmin();
+            return;
+        }
+        
+        await this.saveAssociateChanges(`/api/associate-identities/${targetId}/merge`, 'POST', { sourceIds: [sourceId] }, `Merged into ${target.display_name}`);
+    }
+
+    // Attach an unmapped Commerce7 associate to an existing identity, or create one for it
+    async mapAssociate(entry, targetId) {
+        const c7AssociateIds = entry.c7AssociateId ? [entry.c7AssociateId] : [];
+        
+        if (targetId === 'new') {
+            await this.saveAssociateChanges('/api/associate-identities', 'POST', {
+                displayName: entry.name,
+                c7AssociateIds,
+                nameVariants: [entry.name]
+            }, `${entry.name} mapped`);
+            return;
+        }
+        
+        const target = this.state.associateAdmin.identities.find(identity => identity.id === targetId);
+        await this.saveAssociateChanges(`/api/associate-identities/${targetId}`, 'PATCH', {
+            c7AssociateIds: [...(target.c7_associate_ids || []), ...c7AssociateIds],
+            nameVariants: [...(target.name_variants || []), entry.name]
+        }, `${entry.name} mapped to ${target.display_name}`);
+    }
+
+    // Send an associate change, then reload the screen and the current orders so names regroup
+    async saveAssociateChanges(url, method, body, successMessage) {
+        try {
+            await this.apiRequest(url, { method, body });
+            this.showToast(successMessage, 'success');
+            await this.openAssociatesAdmin();
+            this.reloadCurrentList();
+        } catch (error) {
+            console.error('Error saving associate:', error);
+            this.showToast(`Error saving associate: ${error.message}`, 'error');
+            this.renderAssociatesAdmin();
+        }
+    }
+
+    // Admin: Audit Log
+    openAuditLog() {
+        const actions = ['order.view', 'orders.list', 'queue.view', 'associates.list', 'myOrders.view', 'myOrders.visit', 'compliance.view', 'compliance.trend', 'compliance.compare', 'analytics.revenue', 'export', 'guestCount.update', 'flag.view', 'flag.set', 'flag.clear',
+            'exclusion.list', 'exclusion.create', 'exclusion.update', 'rule.list', 'rule.create', 'rule.update', 'associate.list', 'associate.create', 'associate.update', 'associate.merge',
+            'account.view', 'auditLog.search', 'connection.test'];
+        
+        this.openAdminModal('Audit Log', `
+            <form class="admin-form audit-search" id="audit-search-form">
+                <input type="text" class="admin-input" name="user" placeholder="User email">
+                <select class="admin-input" name="action">
+                    <option value="">All actions</option>
+                    ${actions.map(action => `<option value="${action}">${action}</option>`).join('')}
+                </select>
+                <input type="text" class="admin-input mono" name="target" placeholder="Order / rule ID">
+                <input type="date" class="admin-input" name="from">
+                <input type="date" class="admin-input" name="to">
+                <button type="submit" class="action-btn primary">Search</button>
+            </form>
+            <div id="audit-results"></div>
+        `);
+        
+        document.getElementById('audit-search-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.searchAuditLog(e.target);
+        });
+        this.searchAuditLog(document.getElementById('audit-search-form'));
+    }
+
+    async searchAuditLog(form, offset = 0) {
+        const results = document.getElementById('audit-results');
+        const params = new URLSearchParams();
+        ['user', 'action', 'target', 'from', 'to'].forEach(field => {
+            if (form.elements[field].value) params.append(field, form.elements[field].value.trim());
+        });
+        if (offset) params.append('offset', offset);
+        
+        if (!offset) {
+            results.innerHTML = '<div class="admin-loading">Searching audit log...</div>';
+        }
+        
+        try {
+            const data = await this.apiRequest(`/api/audit-log?${params.toString()}`);
+            const rows = data.entries.map(entry => `
+                <tr>
+                    <td>${this.escapeHtml(new Date(entry.created_at).toLocaleString('en-US', { timeZone: this.state.timeZone }))}</td>
+                    <td>${this.escapeHtml(entry.user_email || '')}</td>
+                    <td>${this.escapeHtml(entry.action)}</td>
+                    <td class="mono">${this.escapeHtml(entry.target || '')}</td>
+                    <td class="mono audit-params">${this.escapeHtml(Object.keys(entry.params || {}).length ? JSON.stringify(entry.params) : '')}</td>
+                    <td class="${entry.status >= 400 ? 'audit-failed' : ''}">${entry.status ?? ''}</td>
+                </tr>
+            `).join('');
+            
+            if (offset) {
+                results.querySelector('tbody').insertAdjacentHTML('beforeend', rows);
+                results.querySelector('.audit-more')?.remove();
+            } else {
+                results.innerHTML = `
+                    <table class="admin-table">
+                        <thead>
+                            <tr>
+                                <th>Time</th>
+                                <th>User</th>
+                                <th>Action</th>
+                                <th>Target</th>
+                                <th>Details</th>
+                                <th>Status</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${rows || '<tr><td colspan="6" class="no-items">No audit entries match your search</td></tr>'}
+                        </tbody>
+                    </table>
+                `;
+            }
+            
+            if (data.hasMore) {
+                results.insertAdjacentHTML('beforeend', '<button class="action-btn secondary audit-more">Load more</button>');
+                const nextOffset = offset + data.entries.length;
+                results.querySelector('.audit-more').addEventListener('click', () => this.searchAuditLog(form, nextOffset));
+            }
+        } catch (error) {
+            console.error('Error searching audit log:', error);
+            results.innerHTML = `<div class="admin-error">Error searching audit log: ${this.escapeHtml(error.message)}</div>`;
+        }
+    }
+
+    openAdminModal(title, html) {
+        this.elements.adminModalTitle.textContent = title;
+        this.elements.adminModalBody.innerHTML = html;
+        this.elements.adminModal.classList.add('show');
+    }
+
+    closeAdminModal() {
+        this.elements.adminModal.classList.remove('show');
+    }
+
+    // API Helpers
+    async getAuthHeaders() {
+        const { data: { session } } = await supabase.auth.getSession();
+        if (!session) return {};
+        
+        const headers = { Authorization: `Bearer ${session.access_token}` };
+        if (this.state.tenantId) headers['X-Tenant-Id'] = this.state.tenantId;
+        return headers;
+    }
+
+    // fetch() with the Supabase session's bearer token. On a 401 the session is refreshed and the
+    // request retried once; if that still fails the user is sent back to the login page.
+    async authFetch(url, options = {}) {
+        const send = async () => fetch(url, {
+            ...options,
+            headers: { ...(options.headers || {}), ...(await this.getAuthHeaders()) }
+        });
+        
+        let response = await send();
+        
+        if (response.status === 401) {
+            const { error } = await supabase.auth.refreshSession();
+            if (!error) {
+                response = await send();
+            }
+            
+            if (error || response.status === 401) {
+                window.location.href = '/login.html';
+                throw new Error('Your session has expired. Please log in again.');
+            }
+        }
+        
+        return response;
+    }
+
+    // JSON request to our own API with the user's session token; throws with the server's message on failure
+    async apiRequest(url, { method = 'GET', body } = {}) {
+        const headers = {};
+        if (body !== undefined) {
+            headers['Content-Type'] = 'application/json';
+        }
+        
+        const response = await this.authFetch(url, {
+            method,
+            headers,
+            body: body !== undefined ? JSON.stringify(body) : undefined
+        });
+        const data = await response.json().catch(() => ({}));
+        
+        if (!response.ok) {
+            throw new Error(data.message || data.error || `HTTP error! status: ${response.status}`);
+        }
+        
+        return data;
+    }
+
+    escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
     // UI Helpers
     updateResultsTitle() {
         const count = this.state.filteredOrders.length;
         const total = this.state.orders.length;
         
+        const titles = {
+            queue: { empty: 'No orders currently missing guest counts', all: `${count} orders currently missing guest counts (live)` },
+            mine: { empty: 'None of your orders are missing guest counts 🎉', all: `${count} of your orders missing guest counts` },
+            range: { empty: 'No orders loaded', all: `${count} orders with missing guest counts` }
+        }[this.state.listSource];
+        
         if (total === 0) {
-            this.elements.resultsTitle.textContent = 'No orders loaded';
+            this.elements.resultsTitle.textContent = titles.empty;
         } else if (count === total) {
-            this.elements.resultsTitle.textContent = `${count} orders with missing guest counts`;
+            this.elements.resultsTitle.textContent = titles.all;
         } else {
             this.elements.resultsTitle.textContent = `${count} of ${total} orders (filtered)`;
         }
     }
 
+    updateLastSynced(lastSyncedAt) {
+        this.elements.lastSynced.textContent = lastSyncedAt
+            ? `Last synced with Commerce7: ${new Date(lastSyncedAt).toLocaleString('en-US', { timeZone: this.state.timeZone })}`
+            : 'Loaded live from Commerce7';
+    }
+
     showStatus(message, type = 'info') {
         const statusEl = this.elements.statusMessage;
         const iconEl = statusEl.querySelector('.status-icon');
@@ -681,11 +2094,13 @@ class GuestCountDashboard {
             loading: '⏳',
             success: '✅',
             error: '❌',
+            warning: '⚠️',
             info: 'ℹ️'
         };
         
         iconEl.textContent = icons[type] || icons.info;
         textEl.textContent = message;
+        statusEl.classList.toggle('warning', type === 'warning');
         statusEl.style.display = 'flex';
         
         if (type === 'success' || type === 'error') {
@@ -695,6 +2110,14 @@ class GuestCountDashboard {
         }
     }
 
+    // Warning shown when Commerce7 could not return every page of the range
+    getPartialResultsMessage(count, missingPages = []) {
+        const pages = missingPages.map(({ from, to, page }) =>
+            `${from === to ? from : `${from || '…'} to ${to || '…'}`} page ${page}`
+        );
+        return `Loaded ${count} orders, but Commerce7 pages could not be fetched (${pages.join(', ')}). Results may be incomplete - try loading again.`;
+    }
+
     formatDate(dateString) {
         if (!dateString) return 'N/A';
         
@@ -711,7 +2134,8 @@ class GuestCountDashboard {
                 year: 'numeric',
                 month: 'long',
                 day: 'numeric',
-                timeZone: 'America/New_York' // Adjust for your timezone
+                // A plain YYYY-MM-DD is already a business day; shifting it into the winery's timezone would show the day before
+                timeZone: /^\d{4}-\d{2}-\d{2}$/.test(dateString) ? 'UTC' : this.state.timeZone
             });
         } catch (error) {
             console.error('Error formatting date:', dateString, error);
@@ -772,8 +2196,7 @@ class GuestCountDashboard {
     openInCommerce7(orderId) {
         // Construct Commerce7 admin URL
         const baseUrl = 'https://app.commerce7.com';
-        const tenantId = 'milea-estate-vineyard'; // This should match your tenant
-        const url = `${baseUrl}/${tenantId}/orders/${orderId}`;
+        const url = `${baseUrl}/${encodeURIComponent(this.state.tenantId)}/orders/${orderId}`;
         
         window.open(url, '_blank');
         this.showToast('Opening in Commerce7...', 'info');
@@ -794,27 +2217,68 @@ class GuestCountDashboard {
         });
     }
 
-    toggleFlagForReview(orderId) {
-        const button = document.querySelector(`[onclick="dashboard.toggleFlagForReview('${orderId}')"]`);
+    async toggleFlagForReview(orderId, orderNumber) {
+        const order = this.state.orders.find(o => o.id === orderId);
+        const button = document.getElementById('flag-review-btn');
         const isFlagged = button.dataset.flagged === 'true';
         
-        button.dataset.flagged = !isFlagged;
-        button.innerHTML = `
-            <span class="btn-icon">${!isFlagged ? '🚩' : '✅'}</span>
-            ${!isFlagged ? 'Flagged for Review' : 'Flag for Review'}
-        `;
+        button.disabled = true;
         
-        // Toggle button styling
-        if (!isFlagged) {
-            button.classList.add('flagged');
-        } else {
-            button.classList.remove('flagged');
+        try {
+            let reviewFlag = null;
+            if (isFlagged) {
+                await this.apiRequest(`/api/order/${orderId}/flag`, { method: 'DELETE' });
+            } else {
+                const note = document.getElementById('review-flag-note')?.value || '';
+                const data = await this.apiRequest(`/api/order/${orderId}/flag`, {
+                    method: 'POST',
+                    body: { orderNumber, note }
+                });
+                reviewFlag = data.flag;
+            }
+            
+            if (order) {
+                order.reviewFlag = reviewFlag;
+                this.applyFilters();
+            }
+            
+            button.dataset.flagged = Boolean(reviewFlag);
+            button.classList.toggle('flagged', Boolean(reviewFlag));
+            button.innerHTML = `
+                <span class="btn-icon">${reviewFlag ? '✅' : '🚩'}</span>
+                ${reviewFlag ? 'Clear Review Flag' : 'Flag for Review'}
+            `;
+            document.getElementById('review-flag-section').innerHTML = this.renderReviewFlagInfo(reviewFlag);
+            
+            this.showToast(reviewFlag ? 'Order flagged for review' : 'Flag removed from order', 'info');
+        } catch (error) {
+            console.error('Error updating review flag:', error);
+            this.showToast(`Error updating review flag: ${error.message}`, 'error');
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    renderReviewFlagInfo(flag) {
+        if (!flag) {
+            return `
+                <label for="review-flag-note">Review note (optional):</label>
+                <textarea id="review-flag-note" class="review-flag-note" rows="2" placeholder="Why does this order need review?"></textarea>
+            `;
         }
         
-        this.showToast(
-            !isFlagged ? 'Order flagged for review' : 'Flag removed from order', 
-            'info'
-        );
+        return `
+            <div class="review-flag-info">
+                🚩 Flagged by <strong>${this.escapeHtml(flag.flagged_by_email)}</strong> on ${this.formatDate(flag.flagged_at)}
+                ${flag.note ? `<div class="review-flag-text">${this.escapeHtml(flag.note)}</div>` : ''}
+            </div>
+        `;
+    }
+
+    renderFlagIndicator(flag) {
+        if (!flag) return '';
+        const title = `Flagged by ${flag.flagged_by_email}${flag.note ? `: ${flag.note}` : ''}`;
+        return `<span class="flag-indicator" title="${this.escapeHtml(title)}">🚩</span>`;
     }
 
     showToast(message, type = 'info') {
@@ -826,10 +2290,12 @@ class GuestCountDashboard {
         toast.innerHTML = `
             <div class="toast-content">
                 <span class="toast-icon">${this.getToastIcon(type)}</span>
-                <span class="toast-message">${message}</span>
+                <span class="toast-message"></span>
                 <button class="toast-close" onclick="this.parentElement.parentElement.remove()">×</button>
             </div>
         `;
+        // Messages include names and errors from Commerce7 and the server; show them as plain text
+        toast.querySelector('.toast-message').textContent = message;
         
         document.body.appendChild(toast);
         
@@ -0,0 +1,108 @@
+// exclusionRules.js - Guest-count exclusion products managed in Supabase, per tenant
+
+const supabase = require("./supabaseClient");
+
+const TABLE = "guest_count_exclusions";
+const CACHE_TTL_MS = 30000; // Rule edits show up within this window without a restart
+
+// Used when Supabase cannot be reached and no rules have been loaded yet (from guest_count_check.ps1)
+const DEFAULT_EXCLUSIONS = [
+  { product_id: "fe778da9-5164-4688-acd2-98d044d7ce84", label: "NCG", enabled: true },
+  { product_id: "718b9fbb-4e23-48c7-8b2d-da86d2624b36", label: "Trade Guest", enabled: true },
+  { product_id: "75d4f6cf-cf69-4e76-8f3b-bb35cc7ddeb3", label: "Club Member", enabled: true },
+  { product_id: "7a5d9556-33e4-4d97-a3e8-37adefc6dcf0", label: "Guests", enabled: true }
+];
+
+const caches = new Map(); // tenant id -> { productIds, loadedAt }
+
+function getCache(tenantId) {
+  if (!caches.has(tenantId)) {
+    caches.set(tenantId, { productIds: null, loadedAt: 0 });
+  }
+  return caches.get(tenantId);
+}
+
+function invalidateCache(tenantId) {
+  getCache(tenantId).loadedAt = 0;
+}
+
+async function listExclusions(tenantId) {
+  const { data, error } = await supabase
+    .from(TABLE)
+    .select("*")
+    .eq("tenant_id", tenantId)
+    .order("label", { ascending: true });
+
+  if (error) throw error;
+  return data;
+}
+
+// Product IDs of every enabled exclusion, cached briefly so each order load doesn't hit Supabase
+async function getExcludedProductIds(tenantId) {
+  const cache = getCache(tenantId);
+  if (cache.productIds && Date.now() - cache.loadedAt < CACHE_TTL_MS) {
+    return cache.productIds;
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from(TABLE)
+      .select("product_id")
+      .eq("tenant_id", tenantId)
+      .eq("enabled", true);
+
+    if (error) throw error;
+
+    cache.productIds = data.map(rule => rule.product_id);
+    cache.loadedAt = Date.now();
+  } catch (error) {
+    console.error(`[KINSTA ERROR] Failed to load exclusion rules for ${tenantId}:`, error.message);
+
+    // Keep serving the last known rules rather than flagging every excluded order
+    if (!cache.productIds) {
+      console.log("[KINSTA WARNING] Falling back to default exclusion rules");
+      return DEFAULT_EXCLUSIONS.map(rule => rule.product_id);
+    }
+  }
+
+  return cache.productIds;
+}
+
+async function createExclusion(tenantId, { productId, label, enabled = true }) {
+  const { data, error } = await supabase
+    .from(TABLE)
+    .insert({ tenant_id: tenantId, product_id: productId, label, enabled })
+    .select()
+    .single();
+
+  if (error) throw error;
+  invalidateCache(tenantId);
+  return data;
+}
+
+async function updateExclusion(tenantId, id, { productId, label, enabled }) {
+  const changes = { updated_at: new Date().toISOString() };
+  if (productId !== undefined) changes.product_id = productId;
+  if (label !== undefined) changes.label = label;
+  if (enabled !== undefined) changes.enabled = enabled;
+
+  const { data, error } = await supabase
+    .from(TABLE)
+    .update(changes)
+    .eq("id", id)
+    .eq("tenant_id", tenantId)
+    .select()
+    .single();
+
+  if (error) throw error;
+  invalidateCache(tenantId);
+  return data;
+}
+
+module.exports = {
+  DEFAULT_EXCLUSIONS,
+  listExclusions,
+  getExcludedProductIds,
+  createExclusion,
+  updateExclusion
+};
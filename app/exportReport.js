@@ -0,0 +1,315 @@
+// exportReport.js - The guest count export in each download format: the Excel workbook (missing
+// orders, per-associate summary, line items and the parameters the report was run with), CSV,
+// JSON and a branded PDF report grouped by associate
+
+const XLSX = require("xlsx");
+const PDFDocument = require("pdfkit");
+const { DATE_FIELDS, DEFAULT_DATE_FIELD } = require("./orderService");
+const { summarizeCompliance, complianceByAssociate } = require("./compliance");
+const { localDate, localDateTime } = require("./timeZone");
+const { toDollars, orderTotal, orderCents, itemTitle, itemSku, itemPrice } = require("./orderFields");
+
+const MONEY_FORMAT = '"$"#,##0.00';
+
+const sumTotals = orders => orders.reduce((sum, order) => sum + orderCents(order), 0);
+
+const describeFlag = flag => flag ? `Flagged by ${flag.flagged_by_email}${flag.note ? `: ${flag.note}` : ""}` : "";
+
+// One row per exported order, in the order given, with the dashboard table's columns. Dates are
+// shown on the winery's clock.
+function orderRows(orders, dateField, timeZone) {
+  return orders.map(order => ({
+    OrderNumber: order.orderNumber,
+    SalesAssociate: order.associate.name,
+    // The date the range was filtered on, e.g. PaidDate
+    [DATE_FIELDS[dateField].column]: order.rangeDate ? localDateTime(order.rangeDate, timeZone) : "",
+    TotalAmount: toDollars(orderTotal(order)),
+    RequiredBy: order.guestCountRule?.name || "",
+    ReviewFlag: describeFlag(order.reviewFlag)
+  }));
+}
+
+// Counts, compliance and revenue per associate across every order that needed a guest count,
+// plus an "All associates" total row
+function summaryRows(eligibleOrders) {
+  const row = (associate, orders, summary) => {
+    const missing = orders.filter(order => !order.guestCount);
+    return {
+      SalesAssociate: associate,
+      EligibleOrders: summary.eligible,
+      WithGuestCount: summary.withGuestCount,
+      MissingGuestCount: summary.missing,
+      CompliancePercent: summary.compliancePercent ?? "",
+      Revenue: toDollars(sumTotals(orders)),
+      MissingRevenue: toDollars(sumTotals(missing))
+    };
+  };
+
+  const rows = complianceByAssociate(eligibleOrders).map(summary =>
+    row(summary.associate, eligibleOrders.filter(order => (order.associate?.id || "unknown") === summary.associateId), summary)
+  );
+  rows.push(row("All associates", eligibleOrders, summarizeCompliance(eligibleOrders)));
+  return rows;
+}
+
+// One row per item on each missing order
+function lineItemRows(orders) {
+  return orders.flatMap(order => (order.items || []).map(item => ({
+    OrderNumber: order.orderNumber,
+    SalesAssociate: order.associate.name,
+    Product: itemTitle(item) || "Unknown Product",
+    SKU: itemSku(item),
+    Quantity: item.quantity,
+    Price: toDollars(itemPrice(item)),
+    LineTotal: toDollars(itemPrice(item) * (item.quantity || 0))
+  })));
+}
+
+// One row per report parameter (filters used, who ran it and when)
+function parameterRows(parameters) {
+  return Object.entries(parameters).map(([Parameter, Value]) => ({ Parameter, Value: Value ?? "" }));
+}
+
+// A sheet from the rows with the money columns shown as dollars. Pass `header` to keep the
+// column headings when there may be no rows.
+function moneySheet(rows, moneyColumns, header) {
+  const sheet = XLSX.utils.json_to_sheet(rows, header ? { header } : undefined);
+  if (rows.length === 0) return sheet;
+
+  const columns = header || Object.keys(rows[0]);
+  moneyColumns.forEach(column => {
+    const col = columns.indexOf(column);
+    if (col === -1) return;
+    for (let r = 1; r <= rows.length; r++) {
+      const cell = sheet[XLSX.utils.encode_cell({ r, c: col })];
+      if (cell && cell.t === "n") cell.z = MONEY_FORMAT;
+    }
+  });
+  return sheet;
+}
+
+// The export workbook: missing orders, per-associate summary, line items and parameters.
+// `orders` are the missing orders being exported; `eligibleOrders` every order that needed a count under the same filters.
+function buildWorkbook({ orders, eligibleOrders, dateField, timeZone, parameters }) {
+  const workbook = XLSX.utils.book_new();
+
+  XLSX.utils.book_append_sheet(workbook, moneySheet(orderRows(orders, dateField, timeZone), ["TotalAmount"]), "Missing Guest Counts");
+  XLSX.utils.book_append_sheet(workbook, moneySheet(summaryRows(eligibleOrders), ["Revenue", "MissingRevenue"]), "Associate Summary");
+  XLSX.utils.book_append_sheet(
+    workbook,
+    moneySheet(lineItemRows(orders), ["Price", "LineTotal"], ["OrderNumber", "SalesAssociate", "Product", "SKU", "Quantity", "Price", "LineTotal"]),
+    "Line Items"
+  );
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(parameterRows(parameters)), "Parameters");
+
+  return XLSX.write(workbook, { type: "buffer", bookType: "xlsx" });
+}
+
+// The missing orders as CSV, with the same columns as the workbook's first sheet
+function buildCsv({ orders, dateField, timeZone }) {
+  const sheet = XLSX.utils.json_to_sheet(orderRows(orders, dateField, timeZone));
+  return Buffer.from(XLSX.utils.sheet_to_csv(sheet), "utf8");
+}
+
+// The missing orders with the parameters the report was run with
+function buildJson({ orders, dateField, timeZone, parameters }) {
+  return Buffer.from(JSON.stringify({ parameters, orders: orderRows(orders, dateField, timeZone) }, null, 2), "utf8");
+}
+
+// Dashboard colours (styles.css) so the PDF reads as the same product
+const BRAND = {
+  primary: "#715100",
+  secondary: "#5A3E00",
+  background: "#EFE8D4"
+};
+
+const formatDollars = dollars => `$${dollars.toLocaleString("en-US", { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+// The missing orders as a printable report: a branded header, then one section per associate
+// with their compliance and a table of their orders. Resolves to the PDF bytes.
+function buildPdf({ orders, eligibleOrders, dateField, timeZone, parameters }) {
+  const doc = new PDFDocument({ size: "LETTER", margin: 40, bufferPages: true, info: { Title: "Missing Guest Count Report" } });
+  const chunks = [];
+  doc.on("data", chunk => chunks.push(chunk));
+  const done = new Promise((resolve, reject) => {
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+  });
+
+  const left = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const bottom = doc.page.height - doc.page.margins.bottom;
+  const dateColumn = DATE_FIELDS[dateField].column;
+
+  // Header band with the winery and the range and filters the report covers
+  doc.rect(0, 0, doc.page.width, 90).fill(BRAND.primary);
+  doc.fillColor("white").font("Helvetica-Bold").fontSize(20).text(parameters.Winery || "", left, 24, { width });
+  doc.font("Helvetica").fontSize(12).text("Missing Guest Count Report", left, 52, { width });
+  doc.fillColor(BRAND.secondary).fontSize(9).text(
+    (parameters.List === EXPORT_LISTS[DEFAULT_EXPORT_LIST].label
+      ? `${parameters.From || "…"} to ${parameters.To || "…"} by ${dateColumn} (${parameters.TimeZone})`
+      : `${parameters.List} (${parameters.TimeZone})`) +
+      ` · Associates: ${parameters.Associates}` +
+      (parameters.Search ? ` · Search: ${parameters.Search}` : "") +
+      (parameters.TotalAmount !== "All" ? ` · Total: ${parameters.TotalAmount}` : "") +
+      (parameters.ItemCount !== "All" ? ` · Items: ${parameters.ItemCount}` : "") +
+      (parameters.OrderType !== "All" ? ` · ${parameters.OrderType} orders` : "") +
+      (parameters.ReviewFlag !== "All" ? ` · ${parameters.ReviewFlag} only` : "") +
+      ` · Generated ${parameters.GeneratedAt} by ${parameters.GeneratedBy}`,
+    left, 104, { width }
+  );
+  if (parameters.MissingPages) {
+    doc.moveDown(0.3).fillColor("#B00020").text(`Incomplete: Commerce7 pages ${parameters.MissingPages} could not be fetched.`, { width });
+  }
+
+  const columns = [
+    { key: "OrderNumber", label: "Order", width: 0.13 },
+    { key: dateColumn, label: DATE_FIELDS[dateField].column.replace(/Date$/, " Date"), width: 0.19 },
+    { key: "TotalAmount", label: "Total", width: 0.13, align: "right", format: formatDollars },
+    { key: "RequiredBy", label: "Required By", width: 0.3 },
+    { key: "ReviewFlag", label: "Review Flag", width: 0.25 }
+  ].map(column => ({ ...column, width: column.width * width }));
+
+  const drawRow = (row, { header = false } = {}) => {
+    const y = doc.y;
+    let x = left;
+    doc.font(header ? "Helvetica-Bold" : "Helvetica").fontSize(9).fillColor(header ? BRAND.primary : "black");
+    columns.forEach(column => {
+      const value = header ? column.label : row[column.key];
+      const text = !header && column.format ? column.format(value) : String(value ?? "");
+      doc.text(text, x + 4, y, { width: column.width - 8, align: column.align || "left", lineBreak: false, ellipsis: true });
+      x += column.width;
+    });
+    doc.x = left;
+    doc.y = y + 16;
+  };
+
+  const ensureSpace = (height, repeatHeader) => {
+    if (doc.y + height <= bottom) return;
+    doc.addPage();
+    if (repeatHeader) drawRow(null, { header: true });
+  };
+
+  // One section per associate, alphabetically, with their share of the summary sheet
+  const summaries = new Map(summaryRows(eligibleOrders).map(row => [row.SalesAssociate, row]));
+  const groups = new Map();
+  orderRows(orders, dateField, timeZone).forEach(row => {
+    if (!groups.has(row.SalesAssociate)) groups.set(row.SalesAssociate, []);
+    groups.get(row.SalesAssociate).push(row);
+  });
+
+  doc.moveDown(1.5);
+  [...groups.keys()].sort((a, b) => a.localeCompare(b)).forEach(associate => {
+    const rows = groups.get(associate);
+    const summary = summaries.get(associate);
+
+    ensureSpace(70);
+    const top = doc.y;
+    doc.rect(left, top, width, 34).fill(BRAND.background);
+    doc.fillColor(BRAND.primary).font("Helvetica-Bold").fontSize(12).text(associate, left + 8, top + 5, { width: width - 16 });
+    doc.fillColor(BRAND.secondary).font("Helvetica").fontSize(9).text(
+      `${rows.length} missing` +
+        (summary ? ` of ${summary.EligibleOrders} · ${summary.CompliancePercent === "" ? "–" : `${summary.CompliancePercent}%`} compliance · ${formatDollars(summary.MissingRevenue)} missing revenue` : ""),
+      left + 8, top + 21, { width: width - 16 }
+    );
+    doc.x = left;
+    doc.y = top + 40;
+
+    drawRow(null, { header: true });
+    rows.forEach(row => {
+      ensureSpace(16, true);
+      drawRow(row);
+    });
+    doc.moveDown(1);
+  });
+
+  // Page numbers, now every page exists
+  const range = doc.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    // Writing inside the bottom margin would otherwise start a new page
+    doc.page.margins.bottom = 0;
+    doc.font("Helvetica").fontSize(8).fillColor(BRAND.secondary).text(
+      `${parameters.Winery || ""} · Page ${i + 1} of ${range.count}`,
+      left, doc.page.height - 30, { width, align: "center", lineBreak: false }
+    );
+  }
+
+  doc.end();
+  return done;
+}
+
+// A min/max filter as text, e.g. "50 to 200", "at least 50" or "All" when neither is set
+function describeRange(min, max, format = value => value) {
+  if (min !== undefined && max !== undefined) return `${format(min)} to ${format(max)}`;
+  if (min !== undefined) return `at least ${format(min)}`;
+  if (max !== undefined) return `at most ${format(max)}`;
+  return "All";
+}
+
+// The dashboard lists an export can come from. Only the date range list has a range; the others
+// look their orders up by ID.
+const EXPORT_LISTS = {
+  range: { label: "Date range" },
+  mine: { label: "My orders", fileName: "my-orders" },
+  queue: { label: "Currently missing", fileName: "currently-missing" }
+};
+const DEFAULT_EXPORT_LIST = "range";
+
+// Characters safe in a download file name on every platform
+const fileNamePart = value => String(value).trim().replace(/[^A-Za-z0-9.-]+/g, "-").replace(/^-+|-+$/g, "");
+
+// Download file name stating the range and filters the export covers, e.g.
+// guest_count_report_2025-01-01_to_2025-01-31_by-submitted_Ann-Smith_search-merlot_total-50-200.pdf.
+// `from` and `to` are the normalized range dates; every part is reduced to safe file name characters.
+function exportFileName({ list = DEFAULT_EXPORT_LIST, from, to, dateField, filters = {}, format, timeZone }) {
+  const parts = [];
+  if (list === DEFAULT_EXPORT_LIST) {
+    parts.push(`${fileNamePart(from || "start")}_to_${fileNamePart(to || "today")}`);
+    if (dateField !== DEFAULT_DATE_FIELD) parts.push(`by-${fileNamePart(dateField)}`);
+  } else {
+    // Lists without a range are named after the list and the winery's day they were exported
+    parts.push(fileNamePart(EXPORT_LISTS[list].fileName), fileNamePart(localDate(new Date(), timeZone)));
+  }
+
+  const associates = filters.associates || [];
+  if (associates.length > 0) {
+    parts.push(associates.length <= 2 ? associates.map(fileNamePart).join("+") : `${associates.length}-associates`);
+  }
+  if (filters.search) parts.push(`search-${fileNamePart(filters.search).slice(0, 30)}`);
+  if (filters.minTotal !== undefined || filters.maxTotal !== undefined) {
+    parts.push(fileNamePart(`total-${filters.minTotal ?? 0}-${filters.maxTotal ?? "up"}`));
+  }
+  if (filters.minItems !== undefined || filters.maxItems !== undefined) {
+    parts.push(fileNamePart(`items-${filters.minItems ?? 0}-${filters.maxItems ?? "up"}`));
+  }
+  if (filters.kind) parts.push(fileNamePart(filters.kind));
+  if (filters.flag && filters.flag !== "all") parts.push(fileNamePart(filters.flag));
+
+  return `${["guest_count_report", ...parts.filter(Boolean)].join("_")}.${fileNamePart(format)}`;
+}
+
+// Download formats for /export: how each is built and served
+const EXPORT_FORMATS = {
+  xlsx: { build: buildWorkbook, contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet" },
+  csv: { build: buildCsv, contentType: "text/csv; charset=utf-8" },
+  json: { build: buildJson, contentType: "application/json; charset=utf-8" },
+  pdf: { build: buildPdf, contentType: "application/pdf" }
+};
+const DEFAULT_EXPORT_FORMAT = "xlsx";
+
+module.exports = {
+  EXPORT_FORMATS,
+  DEFAULT_EXPORT_FORMAT,
+  EXPORT_LISTS,
+  DEFAULT_EXPORT_LIST,
+  describeRange,
+  exportFileName,
+  orderRows,
+  summaryRows,
+  lineItemRows,
+  buildWorkbook,
+  buildCsv,
+  buildJson,
+  buildPdf
+};
@@ -0,0 +1,174 @@
+// guestCountRules.js - Configurable rules deciding which orders require a guest count, per tenant
+
+const supabase = require("./supabaseClient");
+const { toDollars, orderTotal } = require("./orderFields");
+
+const TABLE = "guest_count_rules";
+const CACHE_TTL_MS = 30000; // Rule edits show up within this window without a restart
+
+// Applied when no rules are enabled, preserving the original "every order needs a count" behavior
+const DEFAULT_RULE = { id: null, name: "All orders (no rules configured)" };
+
+// Condition keys stored in the rules' `conditions` JSON and how each reads the order
+const LIST_CONDITIONS = {
+  channels: order => [order.channel],
+  posLocations: order => [
+    order.posProfile?.title,
+    order.posProfileId,
+    order.inventoryLocation?.title,
+    order.inventoryLocationId
+  ],
+  orderTypes: order => [order.orderDeliveryMethod, order.type],
+  productTypes: order => (order.items || []).map(item => item.type || item.productType),
+  customerTags: order => (order.customer?.tags || []).map(tag => (typeof tag === "string" ? tag : tag.title))
+};
+
+const caches = new Map(); // tenant id -> { rules, loadedAt }
+
+function getCache(tenantId) {
+  if (!caches.has(tenantId)) {
+    caches.set(tenantId, { rules: null, loadedAt: 0 });
+  }
+  return caches.get(tenantId);
+}
+
+function invalidateCache(tenantId) {
+  getCache(tenantId).loadedAt = 0;
+}
+
+const normalize = value => String(value).trim().toLowerCase();
+
+// True when any of the order's values for a condition appears in the rule's list (case-insensitive)
+function matchesList(allowed, values) {
+  if (!Array.isArray(allowed) || allowed.length === 0) return true; // Condition not set
+  const wanted = allowed.map(normalize);
+  return values.filter(value => value != null && value !== "").some(value => wanted.includes(normalize(value)));
+}
+
+// Order totals are in cents; rule thresholds are entered in dollars
+function matchesTotal(conditions, order) {
+  const total = toDollars(orderTotal(order));
+  if (conditions.minTotal != null && conditions.minTotal !== "" && total < Number(conditions.minTotal)) return false;
+  if (conditions.maxTotal != null && conditions.maxTotal !== "" && total > Number(conditions.maxTotal)) return false;
+  return true;
+}
+
+function ruleMatches(rule, order) {
+  const conditions = rule.conditions || {};
+  return Object.entries(LIST_CONDITIONS).every(([key, read]) => matchesList(conditions[key], read(order)))
+    && matchesTotal(conditions, order);
+}
+
+// The first enabled rule (by priority) requiring a guest count for this order, or null when none applies
+function findRequiringRule(order, rules) {
+  if (rules.length === 0) return DEFAULT_RULE;
+  return rules.find(rule => ruleMatches(rule, order)) || null;
+}
+
+async function listRules(tenantId) {
+  const { data, error } = await supabase
+    .from(TABLE)
+    .select("*")
+    .eq("tenant_id", tenantId)
+    .order("priority", { ascending: true });
+
+  if (error) throw error;
+  return data;
+}
+
+// Enabled rules in priority order, cached briefly so each order load doesn't hit Supabase
+async function getActiveRules(tenantId) {
+  const cache = getCache(tenantId);
+  if (cache.rules && Date.now() - cache.loadedAt < CACHE_TTL_MS) {
+    return cache.rules;
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from(TABLE)
+      .select("id, name, priority, conditions")
+      .eq("tenant_id", tenantId)
+      .eq("enabled", true)
+      .order("priority", { ascending: true });
+
+    if (error) throw error;
+
+    cache.rules = data;
+    cache.loadedAt = Date.now();
+  } catch (error) {
+    console.error(`[KINSTA ERROR] Failed to load guest count rules for ${tenantId}:`, error.message);
+
+    // Keep serving the last known rules; with none loaded every order requires a count
+    if (!cache.rules) {
+      console.log("[KINSTA WARNING] No guest count rules loaded - requiring a count on every order");
+      return [];
+    }
+  }
+
+  return cache.rules;
+}
+
+// Keep only the known condition keys, turning comma-separated strings into trimmed lists
+function sanitizeConditions(conditions = {}) {
+  const clean = {};
+
+  Object.keys(LIST_CONDITIONS).forEach(key => {
+    const value = conditions[key];
+    const list = Array.isArray(value) ? value : String(value || "").split(",");
+    const items = list.map(item => String(item).trim()).filter(Boolean);
+    if (items.length > 0) clean[key] = items;
+  });
+
+  ["minTotal", "maxTotal"].forEach(key => {
+    if (conditions[key] !== undefined && conditions[key] !== null && conditions[key] !== "") {
+      const amount = Number(conditions[key]);
+      if (isNaN(amount) || amount < 0) {
+        throw Object.assign(new Error(`${key} must be a positive dollar amount`), { status: 400 });
+      }
+      clean[key] = amount;
+    }
+  });
+
+  return clean;
+}
+
+async function createRule(tenantId, { name, priority = 100, enabled = true, conditions }) {
+  const { data, error } = await supabase
+    .from(TABLE)
+    .insert({ tenant_id: tenantId, name, priority, enabled, conditions: sanitizeConditions(conditions) })
+    .select()
+    .single();
+
+  if (error) throw error;
+  invalidateCache(tenantId);
+  return data;
+}
+
+async function updateRule(tenantId, id, { name, priority, enabled, conditions }) {
+  const changes = { updated_at: new Date().toISOString() };
+  if (name !== undefined) changes.name = name;
+  if (priority !== undefined) changes.priority = priority;
+  if (enabled !== undefined) changes.enabled = enabled;
+  if (conditions !== undefined) changes.conditions = sanitizeConditions(conditions);
+
+  const { data, error } = await supabase
+    .from(TABLE)
+    .update(changes)
+    .eq("id", id)
+    .eq("tenant_id", tenantId)
+    .select()
+    .single();
+
+  if (error) throw error;
+  invalidateCache(tenantId);
+  return data;
+}
+
+module.exports = {
+  DEFAULT_RULE,
+  findRequiringRule,
+  listRules,
+  getActiveRules,
+  createRule,
+  updateRule
+};
@@ -0,0 +1,86 @@
+// missingQueue.js - Live queue of orders missing guest counts, fed by Commerce7 webhooks
+
+const supabase = require("./supabaseClient");
+const { findMissingGuestCountRule, getGuestCountContext } = require("./orderService");
+
+const TABLE = "missing_guest_count_queue";
+
+async function getQueueEntry(tenantId, orderId) {
+  const { data, error } = await supabase
+    .from(TABLE)
+    .select("order_id, status")
+    .eq("tenant_id", tenantId)
+    .eq("order_id", orderId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// Run the guest-count check on one of the tenant's orders and record it as outstanding or resolved.
+// Orders that never needed a count and were never queued are left out of the table.
+async function recordOrderCheck(tenantId, order) {
+  const context = await getGuestCountContext(tenantId);
+  const rule = findMissingGuestCountRule(order, context);
+  const now = new Date().toISOString();
+
+  if (rule) {
+    const { error } = await supabase
+      .from(TABLE)
+      .upsert({
+        order_id: order.id,
+        tenant_id: tenantId,
+        order_number: order.orderNumber,
+        sales_associate: order.salesAssociate?.name || null,
+        order_paid_date: order.orderPaidDate || null,
+        rule_id: rule.id,
+        rule_name: rule.name,
+        status: "outstanding",
+        data: order,
+        resolved_at: null,
+        updated_at: now
+      }, { onConflict: "tenant_id,order_id" });
+
+    if (error) throw error;
+    return "outstanding";
+  }
+
+  const existing = await getQueueEntry(tenantId, order.id);
+  if (!existing) {
+    return null;
+  }
+
+  if (existing.status !== "resolved") {
+    const { error } = await supabase
+      .from(TABLE)
+      .update({ status: "resolved", data: order, resolved_at: now, updated_at: now })
+      .eq("tenant_id", tenantId)
+      .eq("order_id", order.id);
+
+    if (error) throw error;
+  }
+  return "resolved";
+}
+
+// The tenant's outstanding orders, newest first, shaped like /api/orders results
+async function listOutstanding(tenantId) {
+  const { data, error } = await supabase
+    .from(TABLE)
+    .select("data, rule_id, rule_name, first_seen_at")
+    .eq("tenant_id", tenantId)
+    .eq("status", "outstanding")
+    .order("order_paid_date", { ascending: false });
+
+  if (error) throw error;
+
+  return data.map(entry => ({
+    ...entry.data,
+    guestCountRule: { id: entry.rule_id, name: entry.rule_name },
+    queuedAt: entry.first_seen_at
+  }));
+}
+
+module.exports = {
+  recordOrderCheck,
+  listOutstanding
+};
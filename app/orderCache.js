@@ -0,0 +1,106 @@
+// orderCache.js - Supabase-backed store of fetched Commerce7 orders and their sync state, per tenant
+
+const supabase = require("./supabaseClient");
+const { startOfLocalDay, endOfLocalDay } = require("./timeZone");
+
+const ORDERS_TABLE = "c7_orders";
+const STATE_TABLE = "c7_sync_state"; // One row per tenant, keyed by tenant id
+const WRITE_BATCH_SIZE = 500;
+const READ_PAGE_SIZE = 1000; // Supabase's default row limit per request
+const READ_ID_BATCH_SIZE = 200;
+
+async function getSyncState(tenantId) {
+  const { data, error } = await supabase
+    .from(STATE_TABLE)
+    .select("*")
+    .eq("id", tenantId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data || { id: tenantId };
+}
+
+async function saveSyncState(tenantId, changes) {
+  const { error } = await supabase
+    .from(STATE_TABLE)
+    .upsert({ id: tenantId, ...changes }, { onConflict: "id" });
+
+  if (error) throw error;
+}
+
+function toRow(tenantId, order, syncedAt) {
+  return {
+    id: order.id,
+    tenant_id: tenantId,
+    order_number: order.orderNumber,
+    order_paid_date: order.orderPaidDate || null,
+    c7_updated_at: order.updatedAt || null,
+    data: order,
+    synced_at: syncedAt
+  };
+}
+
+async function upsertOrders(tenantId, orders) {
+  const syncedAt = new Date().toISOString();
+
+  for (let i = 0; i < orders.length; i += WRITE_BATCH_SIZE) {
+    const rows = orders.slice(i, i + WRITE_BATCH_SIZE).map(order => toRow(tenantId, order, syncedAt));
+    const { error } = await supabase
+      .from(ORDERS_TABLE)
+      .upsert(rows, { onConflict: "tenant_id,id" });
+
+    if (error) throw error;
+  }
+}
+
+// Stored orders paid within the inclusive YYYY-MM-DD range of business days in the winery's timezone
+async function readOrders(tenantId, startDate, endDate, timeZone) {
+  const from = startOfLocalDay(startDate, timeZone).toISOString();
+  const until = endOfLocalDay(endDate, timeZone).toISOString();
+  let orders = [];
+
+  for (let offset = 0; ; offset += READ_PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from(ORDERS_TABLE)
+      .select("data")
+      .eq("tenant_id", tenantId)
+      .gte("order_paid_date", from)
+      .lte("order_paid_date", until)
+      .order("order_paid_date", { ascending: true })
+      .range(offset, offset + READ_PAGE_SIZE - 1);
+
+    if (error) throw error;
+
+    orders = orders.concat(data.map(row => row.data));
+    if (data.length < READ_PAGE_SIZE) break;
+  }
+
+  return orders;
+}
+
+// Stored orders with these IDs, in no particular order; IDs the store doesn't have are left out
+async function readOrdersByIds(tenantId, orderIds) {
+  let orders = [];
+
+  // Batched to keep each request's ID list (sent in the URL) short
+  for (let i = 0; i < orderIds.length; i += READ_ID_BATCH_SIZE) {
+    const { data, error } = await supabase
+      .from(ORDERS_TABLE)
+      .select("data")
+      .eq("tenant_id", tenantId)
+      .in("id", orderIds.slice(i, i + READ_ID_BATCH_SIZE));
+
+    if (error) throw error;
+    orders = orders.concat(data.map(row => row.data));
+  }
+
+  return orders;
+}
+
+module.exports = {
+  getSyncState,
+  saveSyncState,
+  upsertOrders,
+  readOrders,
+  readOrdersByIds
+};
@@ -0,0 +1,21 @@
+// orderFields.js - Readers for order and item fields that vary between Commerce7 order shapes,
+// matching what the dashboard displays
+
+// Commerce7 amounts are in cents; reports and filters use dollars
+const toDollars = cents => Math.round(parseFloat(cents) || 0) / 100;
+const orderTotal = order => order.total ?? order.totalAmount;
+// The order total in cents as a number, 0 when it's missing
+const orderCents = order => parseFloat(orderTotal(order)) || 0;
+
+const itemTitle = item => item.productTitle || item.productName || item.name || item.product?.name || "";
+const itemSku = item => item.sku || item.productSku || item.product?.sku || "";
+const itemPrice = item => item.price || item.unitPrice || item.product?.price || 0;
+
+module.exports = {
+  toDollars,
+  orderTotal,
+  orderCents,
+  itemTitle,
+  itemSku,
+  itemPrice
+};
@@ -0,0 +1,133 @@
+// orderSearch.js - Free-text search and structured filters over orders, applied by the server so the
+// dashboard list and its exports always hold the same orders
+
+const { toDollars, orderTotal, itemTitle, itemSku } = require("./orderFields");
+
+const ORDER_KINDS = ["reservation", "retail"];
+const MIN_PHONE_DIGITS = 3; // Shorter digit runs would match nearly every phone number
+
+const text = value => (value === undefined || value === null ? "" : String(value).toLowerCase());
+const digits = value => String(value || "").replace(/\D/g, "");
+
+// Customer fields vary between Commerce7 order shapes; read every place a name, email or phone can be
+function customerNames(order) {
+  const { customer = {}, billTo = {}, shipTo = {} } = order;
+  return [
+    customer.name,
+    [customer.firstName, customer.lastName].filter(Boolean).join(" "),
+    [billTo.firstName, billTo.lastName].filter(Boolean).join(" "),
+    [shipTo.firstName, shipTo.lastName].filter(Boolean).join(" ")
+  ];
+}
+
+function customerEmails(order) {
+  const { customer = {}, billTo = {} } = order;
+  return [customer.email, billTo.email, ...(customer.emails || []).map(entry => entry.email)];
+}
+
+function customerPhones(order) {
+  const { customer = {}, billTo = {}, shipTo = {} } = order;
+  return [customer.phone, billTo.phone, shipTo.phone, ...(customer.phones || []).map(entry => entry.phone)];
+}
+
+// Same test as the dashboard's reservation badge: tastings and tours count as reservations
+const isReservationItem = item => /reservation|tasting|tour/.test(itemTitle(item).toLowerCase());
+
+// Bottles, tastings etc. on the order, counting each item's quantity
+const itemCount = order => (order.items || []).reduce((sum, item) => sum + (parseInt(item.quantity, 10) || 0), 0);
+
+// True when the term appears in the order number, customer name, email or phone, a product title
+// or SKU, or the order or item notes (case-insensitive). Phones compare digits only, so
+// "555-0100" finds "(845) 555 0100".
+function matchesSearch(order, term) {
+  const needle = text(term).trim();
+  if (!needle) return true;
+
+  const items = order.items || [];
+  const haystack = [
+    order.orderNumber,
+    ...customerNames(order),
+    ...customerEmails(order),
+    ...items.map(itemTitle),
+    ...items.map(itemSku),
+    order.notes,
+    ...items.map(item => item.notes)
+  ];
+  if (haystack.some(value => text(value).includes(needle))) return true;
+
+  const needleDigits = digits(needle);
+  return needleDigits.length >= MIN_PHONE_DIGITS &&
+    needleDigits.length === needle.replace(/[\s()+.-]/g, "").length &&
+    customerPhones(order).some(phone => digits(phone).includes(needleDigits));
+}
+
+function matchesOrderFilters(order, filters) {
+  const { search, minTotal, maxTotal, minItems, maxItems, kind } = filters;
+  const total = toDollars(orderTotal(order));
+  const count = itemCount(order);
+
+  if (minTotal !== undefined && total < minTotal) return false;
+  if (maxTotal !== undefined && total > maxTotal) return false;
+  if (minItems !== undefined && count < minItems) return false;
+  if (maxItems !== undefined && count > maxItems) return false;
+  if (kind) {
+    const reservation = (order.items || []).some(isReservationItem);
+    if ((kind === "reservation") !== reservation) return false;
+  }
+
+  return matchesSearch(order, search);
+}
+
+// Orders matching every filter that is set
+function filterOrders(orders, filters = {}) {
+  return orders.filter(order => matchesOrderFilters(order, filters));
+}
+
+// Read the filters from query values (or an export's filter object). Blank values are left unset;
+// anything unusable is rejected with a 400 error.
+function parseOrderFilters({ search, minTotal, maxTotal, minItems, maxItems, kind } = {}) {
+  const filters = {};
+  const isSet = value => value !== undefined && value !== null && String(value).trim() !== "";
+
+  if (isSet(search)) filters.search = String(search).trim();
+
+  [["minTotal", minTotal], ["maxTotal", maxTotal]].forEach(([key, value]) => {
+    if (!isSet(value)) return;
+    const amount = Number(value);
+    if (isNaN(amount) || amount < 0) {
+      throw Object.assign(new Error(`${key} must be a positive dollar amount.`), { status: 400 });
+    }
+    filters[key] = amount;
+  });
+
+  [["minItems", minItems], ["maxItems", maxItems]].forEach(([key, value]) => {
+    if (!isSet(value)) return;
+    const count = Number(value);
+    if (!Number.isInteger(count) || count < 0) {
+      throw Object.assign(new Error(`${key} must be a whole number.`), { status: 400 });
+    }
+    filters[key] = count;
+  });
+
+  if (isSet(kind) && kind !== "all") {
+    if (!ORDER_KINDS.includes(kind)) {
+      throw Object.assign(new Error(`Order type must be one of: all, ${ORDER_KINDS.join(", ")}.`), { status: 400 });
+    }
+    filters.kind = kind;
+  }
+
+  if (filters.minTotal !== undefined && filters.maxTotal !== undefined && filters.minTotal > filters.maxTotal) {
+    throw Object.assign(new Error("minTotal cannot be more than maxTotal."), { status: 400 });
+  }
+  if (filters.minItems !== undefined && filters.maxItems !== undefined && filters.minItems > filters.maxItems) {
+    throw Object.assign(new Error("minItems cannot be more than maxItems."), { status: 400 });
+  }
+
+  return filters;
+}
+
+module.exports = {
+  ORDER_KINDS,
+  filterOrders,
+  parseOrderFilters
+};
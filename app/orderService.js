@@ -0,0 +1,516 @@
+// orderService.js - Shared Commerce7 order retrieval for the dashboard, associates and export routes
+
+const { C7_API_BASE, c7Get } = require("./commerce7");
+const { getExcludedProductIds } = require("./exclusionRules");
+const { getActiveRules, findRequiringRule } = require("./guestCountRules");
+const { attachAssociateIdentities } = require("./associateIdentities");
+const orderCache = require("./orderCache");
+const { localDate, startOfLocalDay, endOfLocalDay } = require("./timeZone");
+
+const C7_ORDER_URL = `${C7_API_BASE}/order`;
+const PAGE_SIZE = 50; // Commerce7 maximum is 50 per page
+const DAY_WINDOW_MAX_DAYS = 31; // Ranges up to a month are fetched one day at a time, longer ones by week
+const FETCH_CONCURRENCY = parseInt(process.env.C7_FETCH_CONCURRENCY, 10) || 4;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SYNC_INTERVAL_MS = (parseInt(process.env.ORDER_SYNC_INTERVAL_SECONDS, 10) || 60) * 1000;
+
+// Order dates a range can apply to, keyed by the dateField query value. Reservation deposits are
+// paid days before the visit, so "fulfillment" selects by the reservation/fulfillment date instead.
+const DATE_FIELDS = {
+  paid: { field: "orderPaidDate", column: "PaidDate" },
+  submitted: { field: "orderSubmittedDate", column: "SubmittedDate" },
+  order: { field: "orderDate", column: "OrderDate" },
+  fulfillment: { field: "orderFulfilledDate", column: "FulfillmentDate" }
+};
+const DEFAULT_DATE_FIELD = "paid";
+
+// The business day (YYYY-MM-DD) of a date in the winery's timezone. Input without a time of day
+// ("2025-01-05", "Jan 5 2025") already names a calendar day and is kept as that day; only
+// timestamps are moved onto the winery's clock.
+function formatDate(date, timeZone) {
+  try {
+    const dateStr = date.toString();
+    if (dateStr.match(/^\d{4}-\d{2}-\d{2}$/)) {
+      return dateStr; // Already in YYYY-MM-DD format
+    }
+
+    const d = new Date(date);
+    if (isNaN(d.getTime())) {
+      throw new Error(`Invalid date: ${date}`);
+    }
+
+    // Date-only strings are parsed as midnight on the server's clock, so read that day back
+    if (typeof date === "string" && !/T\d|\d:\d/.test(date)) {
+      return [d.getFullYear(), d.getMonth() + 1, d.getDate()].map(part => String(part).padStart(2, "0")).join("-");
+    }
+
+    // A late-evening order belongs to that evening's business day, not the next UTC day
+    return localDate(d, timeZone);
+  } catch (err) {
+    console.error("Date formatting error:", err);
+    throw new Error(`Failed to format date: ${date}`);
+  }
+}
+
+// Normalize the from/to query values into Commerce7 dates
+function parseDateRange(from, to, timeZone) {
+  return {
+    startDate: from ? formatDate(from, timeZone) : undefined,
+    endDate: to ? formatDate(to, timeZone) : undefined
+  };
+}
+
+// Build the query parameter for a range of local business days on the chosen order date (paid by default),
+// as exact UTC timestamps from the first day's local midnight to the end of the last day
+function buildDateFilter(startDate, endDate, dateField, timeZone) {
+  const { field } = DATE_FIELDS[dateField];
+  const from = startDate && startOfLocalDay(startDate, timeZone).toISOString();
+  const to = endDate && endOfLocalDay(endDate, timeZone).toISOString();
+
+  if (from && to) {
+    // For date ranges, use btw: with pipe separator
+    return `${field}=btw:${from}|${to}`;
+  } else if (from) {
+    // From a specific date onwards
+    return `${field}=gte:${from}`;
+  } else if (to) {
+    // Up to a specific date
+    return `${field}=lte:${to}`;
+  }
+  return "";
+}
+
+// The order's value for the date the range was filtered on
+function getRangeDate(order, dateField = DEFAULT_DATE_FIELD) {
+  return order[DATE_FIELDS[dateField].field] || null;
+}
+
+function addDays(dateStr, days) {
+  return new Date(Date.parse(`${dateStr}T00:00:00Z`) + days * DAY_MS).toISOString().split('T')[0];
+}
+
+function daysBetween(startDate, endDate) {
+  return Math.round((Date.parse(`${endDate}T00:00:00Z`) - Date.parse(`${startDate}T00:00:00Z`)) / DAY_MS);
+}
+
+// Split a date range into day windows (up to a month) or week windows (longer ranges).
+// Open-ended ranges cannot be split and are fetched as a single window.
+function splitDateRange(startDate, endDate) {
+  if (!startDate || !endDate || endDate <= startDate) {
+    return [{ startDate, endDate }];
+  }
+
+  const windowDays = daysBetween(startDate, endDate) < DAY_WINDOW_MAX_DAYS ? 1 : 7;
+  const windows = [];
+
+  for (let windowStart = startDate; windowStart <= endDate; windowStart = addDays(windowStart, windowDays)) {
+    const windowEnd = addDays(windowStart, windowDays - 1);
+    windows.push({ startDate: windowStart, endDate: windowEnd < endDate ? windowEnd : endDate });
+  }
+
+  return windows;
+}
+
+// Run fn over items with at most `limit` calls in flight, preserving result order
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+// Walk every Commerce7 page of one date window (or of a custom filter such as updatedAt) for a tenant.
+// Pages that still fail after retries are skipped and reported in failedPages instead of failing the load.
+async function fetchWindow(tenant, startDate, endDate, dateFilter) {
+  let orders = [];
+  const failedPages = [];
+  let totalPages = null; // Known once Commerce7 reports the total order count
+  let firstPageError = null;
+  let previousFirstId = null;
+  let page = 1;
+
+  for (;;) {
+    const url = `${C7_ORDER_URL}?${dateFilter}&page=${page}&limit=${PAGE_SIZE}`;
+    console.log(`[KINSTA DEBUG] Fetching page ${page} - URL: ${url}`);
+
+    let response;
+    try {
+      response = await c7Get(tenant, url);
+    } catch (error) {
+      console.error(`[KINSTA ERROR] Failed to fetch page ${page} of ${startDate} to ${endDate}:`, error.message);
+      if (error.response?.status === 422) {
+        console.error(`[KINSTA ERROR] API validation error:`, error.response.data);
+      }
+
+      // A rejected query will fail every window the same way
+      if (error.response?.status === 422) throw error;
+
+      failedPages.push({ from: startDate, to: endDate, page });
+      if (page === 1) firstPageError = error;
+
+      // Without a known page count we cannot tell what else is missing; an open circuit fails every later page
+      if (totalPages === null || page >= totalPages || error.code === "C7_CIRCUIT_OPEN") {
+        for (let skipped = page + 1; totalPages !== null && skipped <= totalPages; skipped++) {
+          failedPages.push({ from: startDate, to: endDate, page: skipped });
+        }
+        break;
+      }
+
+      page++;
+      continue;
+    }
+
+    if (!response.data.orders) {
+      throw new Error("Invalid response from Commerce7 API: Missing 'orders' field");
+    }
+
+    const pageOrders = response.data.orders;
+
+    // Guard against an API that ignores the page parameter and keeps returning the same page
+    if (pageOrders.length > 0 && pageOrders[0].id === previousFirstId) {
+      console.log(`[KINSTA WARNING] Page ${page} of ${startDate} to ${endDate} repeats the previous page - stopping pagination`);
+      break;
+    }
+    previousFirstId = pageOrders[0]?.id ?? null;
+
+    orders = orders.concat(pageOrders);
+    console.log(`[KINSTA DEBUG] Page ${page} of ${startDate} to ${endDate}: ${pageOrders.length} orders`);
+
+    if (typeof response.data.total === "number") {
+      totalPages = Math.ceil(response.data.total / PAGE_SIZE);
+    }
+
+    // A short page means there is nothing left to fetch
+    if (pageOrders.length < PAGE_SIZE || (totalPages !== null && page >= totalPages)) {
+      break;
+    }
+
+    page++;
+  }
+
+  return { orders, failedPages, firstPageError };
+}
+
+// Fetch every order in the date range by splitting it into windows fetched in parallel,
+// then merge the windows and drop duplicates by order id
+async function fetchOrders(tenant, startDate, endDate, dateField = DEFAULT_DATE_FIELD) {
+  const windows = splitDateRange(startDate, endDate);
+  console.log(`[KINSTA] Fetching ${windows.length} window(s) of ${DATE_FIELDS[dateField].field} for ${tenant.id} with concurrency ${FETCH_CONCURRENCY}`);
+
+  const results = await mapWithConcurrency(windows, FETCH_CONCURRENCY, window =>
+    fetchWindow(tenant, window.startDate, window.endDate, buildDateFilter(window.startDate, window.endDate, dateField, tenant.timeZone))
+  );
+
+  const ordersById = new Map();
+  const failedPages = [];
+
+  results.forEach(result => {
+    result.orders.forEach(order => ordersById.set(order.id, order));
+    failedPages.push(...result.failedPages);
+  });
+
+  // Every window failing outright means Commerce7 is down, not that results are partial
+  if (results.every(result => result.firstPageError)) {
+    throw results[0].firstPageError;
+  }
+
+  const allOrders = [...ordersById.values()];
+
+  console.log(`[KINSTA] Total orders fetched: ${allOrders.length} across ${windows.length} window(s)`);
+  if (failedPages.length > 0) {
+    console.log(`[KINSTA WARNING] Partial results - failed pages: ${failedPages.map(describeFailedPage).join(', ')}`);
+  }
+
+  return { orders: allOrders, failedPages };
+}
+
+// Every order Commerce7 reports as updated since the given ISO timestamp
+async function fetchOrdersUpdatedSince(tenant, since) {
+  const { orders, failedPages, firstPageError } = await fetchWindow(tenant, since, undefined, `updatedAt=gte:${since}`);
+  if (firstPageError) throw firstPageError;
+  return { orders, failedPages };
+}
+
+// Sort covered ranges and join any that overlap or touch, e.g. Jan 1-10 and Jan 11-20 become Jan 1-20
+function mergeRanges(ranges) {
+  const merged = [];
+  [...ranges]
+    .sort((a, b) => (a.from < b.from ? -1 : a.from > b.from ? 1 : 0))
+    .forEach(range => {
+      const last = merged[merged.length - 1];
+      if (last && range.from <= addDays(last.to, 1)) {
+        if (range.to > last.to) last.to = range.to;
+      } else {
+        merged.push({ from: range.from, to: range.to });
+      }
+    });
+  return merged;
+}
+
+// Parts of the requested range none of the store's covered ranges include yet, in date order
+function planCoverage(startDate, endDate, coveredRanges) {
+  const gaps = [];
+  let next = startDate;
+
+  for (const range of mergeRanges(coveredRanges)) {
+    if (range.to < next) continue;
+    if (range.from > endDate) break;
+    if (range.from > next) gaps.push({ startDate: next, endDate: addDays(range.from, -1) });
+    next = addDays(range.to, 1);
+  }
+
+  if (next <= endDate) gaps.push({ startDate: next, endDate });
+  return gaps;
+}
+
+// Bring the tenant's store up to date for the range: fetch uncovered dates in full, then pull
+// orders updated since the last sync. Returns the pages that could not be fetched.
+async function syncOrders(tenant, startDate, endDate) {
+  const state = await orderCache.getSyncState(tenant.id);
+  const syncStartedAt = new Date().toISOString();
+  const failedPages = [];
+  const changes = {};
+
+  // Incremental sync first, so newly covered ranges aren't refetched right away
+  const syncDue = state.updated_cursor && (!state.last_synced_at || Date.now() - Date.parse(state.last_synced_at) > SYNC_INTERVAL_MS);
+  if (syncDue) {
+    console.log(`[KINSTA] Order store: syncing ${tenant.id} orders updated since ${state.updated_cursor}`);
+    const updated = await fetchOrdersUpdatedSince(tenant, state.updated_cursor);
+    await orderCache.upsertOrders(tenant.id, updated.orders);
+    failedPages.push(...updated.failedPages);
+
+    // Only move the cursor when nothing was missed
+    if (updated.failedPages.length === 0) {
+      changes.updated_cursor = syncStartedAt;
+    }
+    changes.last_synced_at = syncStartedAt;
+    console.log(`[KINSTA] Order store: ${updated.orders.length} updated orders synced`);
+  }
+
+  const coveredRanges = state.covered_ranges || [];
+  const newlyCovered = [];
+
+  for (const range of planCoverage(startDate, endDate, coveredRanges)) {
+    console.log(`[KINSTA] Order store: fetching uncovered range ${range.startDate} to ${range.endDate}`);
+    const fetched = await fetchOrders(tenant, range.startDate, range.endDate);
+    await orderCache.upsertOrders(tenant.id, fetched.orders);
+    failedPages.push(...fetched.failedPages);
+
+    // Leave partially fetched ranges uncovered so the next load retries them
+    if (fetched.failedPages.length === 0) {
+      newlyCovered.push({ from: range.startDate, to: range.endDate });
+    }
+  }
+
+  if (newlyCovered.length > 0) {
+    changes.covered_ranges = mergeRanges([...coveredRanges, ...newlyCovered]);
+    // The first covered range starts incremental sync from now
+    if (!state.updated_cursor) {
+      changes.updated_cursor = syncStartedAt;
+      changes.last_synced_at = syncStartedAt;
+    }
+  }
+
+  if (Object.keys(changes).length > 0) {
+    await orderCache.saveSyncState(tenant.id, changes);
+  }
+
+  return { failedPages, lastSyncedAt: changes.last_synced_at || state.last_synced_at || syncStartedAt };
+}
+
+// Concurrent loads for a tenant share one sync so the store isn't written twice for the same range
+const syncQueues = new Map(); // tenant id -> promise of the last queued sync
+
+// Ranges fetched straight from Commerce7, kept briefly so searching and filtering a loaded list (each a
+// new /api/orders request) and exporting it don't refetch every window
+const LIVE_RANGE_TTL_MS = 60000;
+const liveRanges = new Map(); // "tenant|start|end|dateField" -> { result (promise), loadedAt }
+
+function fetchLiveRange(tenant, startDate, endDate, dateField) {
+  const now = Date.now();
+  liveRanges.forEach((entry, key) => {
+    if (now - entry.loadedAt >= LIVE_RANGE_TTL_MS) liveRanges.delete(key);
+  });
+
+  const key = [tenant.id, startDate || "", endDate || "", dateField].join("|");
+  if (liveRanges.has(key)) return liveRanges.get(key).result;
+
+  const result = fetchOrders(tenant, startDate, endDate, dateField).then(live => {
+    // Incomplete ranges aren't reused, so the next request retries the missing pages
+    if (live.failedPages.length > 0) liveRanges.delete(key);
+    return { ...live, lastSyncedAt: null };
+  });
+  result.catch(() => liveRanges.delete(key));
+  liveRanges.set(key, { result, loadedAt: now });
+  return result;
+}
+
+// Drop a tenant's kept live ranges once one of its orders changes (guest count saved, webhook)
+function forgetLiveRanges(tenantId) {
+  liveRanges.forEach((entry, key) => {
+    if (key.startsWith(`${tenantId}|`)) liveRanges.delete(key);
+  });
+}
+
+// A tenant's orders for the range, answered from the local store after a sync. The store is indexed by paid date,
+// so ranges on other dates and open-ended ranges are fetched straight from Commerce7 (see fetchLiveRange), as are
+// ranges when the store fails.
+async function getOrders(tenant, startDate, endDate, dateField = DEFAULT_DATE_FIELD) {
+  if (!startDate || !endDate || dateField !== DEFAULT_DATE_FIELD) {
+    return fetchLiveRange(tenant, startDate, endDate, dateField);
+  }
+
+  const sync = (syncQueues.get(tenant.id) || Promise.resolve()).then(() => syncOrders(tenant, startDate, endDate));
+  syncQueues.set(tenant.id, sync.catch(() => {}));
+
+  try {
+    const { failedPages, lastSyncedAt } = await sync;
+    const orders = await orderCache.readOrders(tenant.id, startDate, endDate, tenant.timeZone);
+    console.log(`[KINSTA] Order store: ${orders.length} orders read for ${startDate} to ${endDate}`);
+    return { orders, failedPages, lastSyncedAt };
+  } catch (error) {
+    // Commerce7 outages should surface as usual; only store problems fall back
+    if (error.response || error.code?.startsWith?.("C7_")) throw error;
+
+    console.error("[KINSTA ERROR] Order store unavailable - fetching from Commerce7:", error.message);
+    const live = await fetchOrders(tenant, startDate, endDate);
+    return { ...live, lastSyncedAt: null };
+  }
+}
+
+// True when the order contains one of the products that make a guest count unnecessary
+function hasExcludedProduct(order, excludedProductIds) {
+  return (order.items || []).some(item => excludedProductIds.includes(item.productId));
+}
+
+// The rule requiring a guest count on this order, whether or not one has been entered yet
+function findGuestCountRequirement(order, { excludedProductIds, rules }) {
+  if (hasExcludedProduct(order, excludedProductIds)) {
+    return null;
+  }
+  return findRequiringRule(order, rules);
+}
+
+// The rule requiring a guest count this order is missing, or null when the order is fine:
+// it has a count, contains an excluded product, or no rule applies
+function findMissingGuestCountRule(order, context) {
+  return order.guestCount ? null : findGuestCountRequirement(order, context);
+}
+
+// Orders that need a guest count (entered or not), tagged with the rule requiring it
+function filterGuestCountEligible(orders, context) {
+  return orders.reduce((eligible, order) => {
+    const rule = findGuestCountRequirement(order, context);
+    if (rule) {
+      eligible.push({ ...order, guestCountRule: { id: rule.id, name: rule.name } });
+    }
+    return eligible;
+  }, []);
+}
+
+// Keep orders missing guest counts that require one: no excluded products and a matching rule.
+// Each returned order carries the rule that required it as guestCountRule.
+function filterMissingGuestCounts(orders, context) {
+  return orders.reduce((missing, order) => {
+    const rule = findMissingGuestCountRule(order, context);
+    if (rule) {
+      missing.push({ ...order, guestCountRule: { id: rule.id, name: rule.name } });
+    }
+    return missing;
+  }, []);
+}
+
+// The tenant's current exclusion products and rules, used to decide whether an order needs a guest count
+async function getGuestCountContext(tenantId) {
+  const [excludedProductIds, rules] = await Promise.all([
+    getExcludedProductIds(tenantId),
+    getActiveRules(tenantId)
+  ]);
+  return { excludedProductIds, rules };
+}
+
+// Tag orders with their canonical associate and the date the list applies to (rangeDate), and pick out those
+// needing a guest count (eligibleOrders) and those still missing one (missingOrders)
+async function classifyOrders(tenantId, orders, dateField, context) {
+  const allOrders = (await attachAssociateIdentities(tenantId, orders))
+    .map(order => ({ ...order, rangeDate: getRangeDate(order, dateField) }));
+  const eligibleOrders = filterGuestCountEligible(allOrders, context);
+  const missingOrders = eligibleOrders.filter(order => !order.guestCount);
+  return { allOrders, eligibleOrders, missingOrders };
+}
+
+// Load the tenant's date range and return the raw orders, those missing guest counts, any pages that failed
+// and when the store was last synced. Each order carries the date the range applied to as rangeDate.
+async function getMissingGuestCountOrders(tenant, startDate, endDate, dateField = DEFAULT_DATE_FIELD) {
+  const [{ orders, failedPages, lastSyncedAt }, context] = await Promise.all([
+    getOrders(tenant, startDate, endDate, dateField),
+    getGuestCountContext(tenant.id)
+  ]);
+  const { allOrders, eligibleOrders, missingOrders } = await classifyOrders(tenant.id, orders, dateField, context);
+
+  console.log(`[KINSTA] Found ${missingOrders.length} orders missing guest counts (from ${allOrders.length} total)`);
+
+  return { allOrders, eligibleOrders, missingOrders, failedPages, lastSyncedAt };
+}
+
+// The tenant's orders with these IDs from the local store, classified like a range (by paid date), for lists
+// that have no date range such as "My orders" and the live queue. `fallback` is asked for stand-ins (e.g. the
+// queue's copies) only when the store is missing some of them.
+async function getOrdersByIds(tenant, orderIds, fallback = async () => []) {
+  const [stored, context] = await Promise.all([
+    orderCache.readOrdersByIds(tenant.id, orderIds),
+    getGuestCountContext(tenant.id)
+  ]);
+
+  let orders = stored;
+  if (stored.length < orderIds.length) {
+    const storedIds = new Set(stored.map(order => order.id));
+    const extra = (await fallback()).filter(order => orderIds.includes(order.id) && !storedIds.has(order.id));
+    orders = stored.concat(extra);
+  }
+
+  return classifyOrders(tenant.id, orders, DEFAULT_DATE_FIELD, context);
+}
+
+// Human-readable label for a page that could not be fetched, e.g. "2025-01-03 page 2"
+function describeFailedPage({ from, to, page }) {
+  const range = from === to ? from : `${from || '…'} to ${to || '…'}`;
+  return `${range} page ${page}`;
+}
+
+// Partial-result fields added to API responses when some Commerce7 pages could not be fetched
+function partialResultInfo(failedPages) {
+  return failedPages.length > 0 ? { partial: true, missingPages: failedPages } : { partial: false };
+}
+
+module.exports = {
+  DATE_FIELDS,
+  DEFAULT_DATE_FIELD,
+  formatDate,
+  parseDateRange,
+  buildDateFilter,
+  getRangeDate,
+  splitDateRange,
+  mapWithConcurrency,
+  fetchOrders,
+  getOrders,
+  forgetLiveRanges,
+  hasExcludedProduct,
+  findGuestCountRequirement,
+  findMissingGuestCountRule,
+  filterGuestCountEligible,
+  filterMissingGuestCounts,
+  getGuestCountContext,
+  getMissingGuestCountOrders,
+  getOrdersByIds,
+  describeFailedPage,
+  partialResultInfo
+};
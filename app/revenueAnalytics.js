@@ -0,0 +1,76 @@
+// revenueAnalytics.js - Spend per guest and party size from orders that have a guest count
+
+const { zonedParts } = require("./timeZone");
+const { orderCents } = require("./orderFields");
+
+const WEEKDAYS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+
+// Orders, guests, revenue (cents), average party size and spend per guest (cents)
+function summarizeRevenue(orders) {
+  const guests = orders.reduce((sum, order) => sum + Number(order.guestCount), 0);
+  const revenue = orders.reduce((sum, order) => sum + orderCents(order), 0);
+
+  return {
+    orders: orders.length,
+    guests,
+    revenue,
+    averagePartySize: orders.length ? Math.round((guests / orders.length) * 10) / 10 : null,
+    spendPerGuest: guests ? Math.round(revenue / guests) : null
+  };
+}
+
+function groupBy(orders, keyOf) {
+  const groups = new Map();
+  orders.forEach(order => {
+    const key = keyOf(order);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(order);
+  });
+  return groups;
+}
+
+// Revenue analytics for orders that need a guest count (see filterGuestCountEligible). Orders with a
+// count are measured; the rest are reported as unmeasured, with guests estimated from the average party size.
+function revenueAnalytics(eligibleOrders, timeZone) {
+  const measured = eligibleOrders.filter(order => Number(order.guestCount) > 0);
+  const unmeasured = eligibleOrders.filter(order => !(Number(order.guestCount) > 0));
+  const overall = summarizeRevenue(measured);
+
+  const byAssociate = [...groupBy(measured, order => order.associate?.name || "Unknown")]
+    .map(([associate, orders]) => ({ associate, ...summarizeRevenue(orders) }))
+    .sort((a, b) => (b.spendPerGuest ?? 0) - (a.spendPerGuest ?? 0));
+
+  const dated = measured.filter(order => order.orderPaidDate || order.orderDate);
+  // Day of week and hour on the winery's clock
+  const local = new Map(dated.map(order => [order, zonedParts(order.orderPaidDate || order.orderDate, timeZone)]));
+
+  const weekdayGroups = groupBy(dated, order => local.get(order).weekday);
+  const byDayOfWeek = WEEKDAYS.map(day => ({ day, ...summarizeRevenue(weekdayGroups.get(day) || []) }));
+
+  const hourGroups = groupBy(dated, order => local.get(order).hour);
+  const byHour = [...hourGroups.keys()]
+    .sort((a, b) => a - b)
+    .map(hour => ({ hour, ...summarizeRevenue(hourGroups.get(hour)) }));
+
+  const unmeasuredRevenue = unmeasured.reduce((sum, order) => sum + orderCents(order), 0);
+  const eligibleRevenue = overall.revenue + unmeasuredRevenue;
+
+  return {
+    timeZone,
+    overall,
+    byAssociate,
+    byDayOfWeek,
+    byHour,
+    unmeasured: {
+      orders: unmeasured.length,
+      revenue: unmeasuredRevenue,
+      revenuePercent: eligibleRevenue ? Math.round((unmeasuredRevenue / eligibleRevenue) * 1000) / 10 : null,
+      estimatedGuests: overall.averagePartySize !== null ? Math.round(unmeasured.length * overall.averagePartySize) : null
+    }
+  };
+}
+
+module.exports = {
+  summarizeRevenue,
+  revenueAnalytics
+};
@@ -0,0 +1,99 @@
+// reviewFlags.js - "Flag for Review" state per order, stored in Supabase
+
+const supabase = require("./supabaseClient");
+
+const TABLE = "order_review_flags";
+
+// The dashboard's review flag filter values, with how exports describe them
+const FLAG_FILTERS = { all: "All", flagged: "Flagged", unflagged: "Unflagged" };
+
+// The tenant's open flags keyed by Commerce7 order id
+async function getOpenFlags(tenantId) {
+  const { data, error } = await supabase
+    .from(TABLE)
+    .select("order_id, note, flagged_by_email, flagged_at")
+    .eq("tenant_id", tenantId)
+    .is("cleared_at", null);
+
+  if (error) throw error;
+  return new Map(data.map(flag => [flag.order_id, flag]));
+}
+
+// Attach each order's open flag (or null) as reviewFlag; a Supabase outage leaves orders unflagged
+async function attachReviewFlags(tenantId, orders) {
+  let flags = new Map();
+  try {
+    flags = await getOpenFlags(tenantId);
+  } catch (error) {
+    console.error("[KINSTA ERROR] Failed to load review flags:", error.message);
+  }
+
+  return orders.map(order => ({ ...order, reviewFlag: flags.get(order.id) || null }));
+}
+
+async function getFlagHistory(tenantId, orderId) {
+  const { data, error } = await supabase
+    .from(TABLE)
+    .select("*")
+    .eq("tenant_id", tenantId)
+    .eq("order_id", orderId)
+    .order("flagged_at", { ascending: false });
+
+  if (error) throw error;
+  return data;
+}
+
+// Flag an order, or update the note on its open flag
+async function flagOrder(tenantId, orderId, { orderNumber, note }, user) {
+  const { data: existing, error: findError } = await supabase
+    .from(TABLE)
+    .select("id")
+    .eq("tenant_id", tenantId)
+    .eq("order_id", orderId)
+    .is("cleared_at", null)
+    .maybeSingle();
+
+  if (findError) throw findError;
+
+  const query = existing
+    ? supabase.from(TABLE).update({ note }).eq("id", existing.id)
+    : supabase.from(TABLE).insert({
+        tenant_id: tenantId,
+        order_id: orderId,
+        order_number: orderNumber,
+        note,
+        flagged_by: user.id,
+        flagged_by_email: user.email
+      });
+
+  const { data, error } = await query.select().single();
+  if (error) throw error;
+  return data;
+}
+
+// Clear the order's open flag, recording who cleared it; returns null when it wasn't flagged
+async function clearFlag(tenantId, orderId, user) {
+  const { data, error } = await supabase
+    .from(TABLE)
+    .update({
+      cleared_by: user.id,
+      cleared_by_email: user.email,
+      cleared_at: new Date().toISOString()
+    })
+    .eq("tenant_id", tenantId)
+    .eq("order_id", orderId)
+    .is("cleared_at", null)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+module.exports = {
+  FLAG_FILTERS,
+  attachReviewFlags,
+  getFlagHistory,
+  flagOrder,
+  clearFlag
+};
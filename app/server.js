@@ -4,7 +4,7 @@ const express = require("express");
 const cors = require("cors");
 const path = require("path");
 const fs = require("fs");
-const { createClient } = require('@supabase/supabase-js');
+const crypto = require("crypto");
 const dotenvPath = path.resolve(__dirname, ".env");
 
 console.log("Looking for .env at:", dotenvPath);
@@ -17,14 +17,20 @@ if (!fs.existsSync(dotenvPath)) {
 require("dotenv").config(); // Automatically loads .env if present (not needed on Kinsta)
 
 console.log("Loaded ENV Variables:");
+console.log("C7_TENANTS:", process.env.C7_TENANTS ? "Loaded" : "Not set (single tenant)");
 console.log("C7_APP_ID:", process.env.C7_APP_ID);
 console.log("C7_API_KEY:", process.env.C7_API_KEY ? "Loaded" : "Missing");
 console.log("C7_TENANT_ID:", process.env.C7_TENANT_ID);
 console.log("SUPABASE_URL:", process.env.SUPABASE_URL);
 console.log("SUPABASE_SERVICE_KEY:", process.env.SUPABASE_SERVICE_KEY ? "Loaded" : "Missing");
-
-// Validate required environment variables
-const requiredEnvVars = ['C7_APP_ID', 'C7_API_KEY', 'C7_TENANT_ID', 'SUPABASE_URL', 'SUPABASE_SERVICE_KEY'];
+console.log("TENANT_TIME_ZONE:", process.env.TENANT_TIME_ZONE || "(default America/New_York, unless set per winery in C7_TENANTS)");
+
+// Validate required environment variables (C7_TENANTS replaces the single-winery Commerce7 credentials)
+const requiredEnvVars = [
+    ...(process.env.C7_TENANTS ? [] : ['C7_APP_ID', 'C7_API_KEY', 'C7_TENANT_ID']),
+    'SUPABASE_URL',
+    'SUPABASE_SERVICE_KEY'
+];
 const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
 
 if (missingVars.length > 0) {
@@ -36,27 +42,102 @@ if (missingVars.length > 0) {
 
 console.log('✅ All required environment variables loaded');
 
-// Supabase configuration
-const SUPABASE_URL = process.env.SUPABASE_URL;
-const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY;
-const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
-
-const axios = require("axios");
-const XLSX = require("xlsx");
+const supabase = require("./supabaseClient");
+const { C7_API_BASE, c7Get, c7Request } = require("./commerce7");
+const {
+    DATE_FIELDS,
+    DEFAULT_DATE_FIELD,
+    formatDate,
+    parseDateRange,
+    getMissingGuestCountOrders,
+    getOrdersByIds,
+    forgetLiveRanges,
+    describeFailedPage,
+    partialResultInfo
+} = require("./orderService");
+const {
+    listExclusions,
+    createExclusion,
+    updateExclusion
+} = require("./exclusionRules");
+const {
+    listRules,
+    createRule,
+    updateRule
+} = require("./guestCountRules");
+const {
+    FLAG_FILTERS,
+    attachReviewFlags,
+    getFlagHistory,
+    flagOrder,
+    clearFlag
+} = require("./reviewFlags");
+const { upsertOrders } = require("./orderCache");
+const { recordOrderCheck, listOutstanding } = require("./missingQueue");
+const { filterOrders, parseOrderFilters } = require("./orderSearch");
+const {
+    PERMISSIONS,
+    getUserRole,
+    hasPermission,
+    isOwnOrder,
+    canAccessOrder,
+    scopeOrdersToUser,
+    recordVisit,
+    getPreviousVisit
+} = require("./userRoles");
+const {
+    listIdentities,
+    attachAssociateIdentities,
+    getIdentityForUser,
+    findUnmappedAssociates,
+    createIdentity,
+    updateIdentity,
+    mergeIdentities
+} = require("./associateIdentities");
+const {
+    summarizeCompliance,
+    complianceByAssociate,
+    TREND_INTERVALS,
+    defaultTrendInterval,
+    complianceTrend,
+    COMPARISONS,
+    comparisonRange,
+    compareCompliance,
+    currentWeekRange
+} = require("./compliance");
+const { recordAudit, searchAuditLog } = require("./auditLog");
+const { revenueAnalytics } = require("./revenueAnalytics");
+const { localDateTime } = require("./timeZone");
+const { tenants, describeTenant, getTenant, getGrantedTenants, getTenantGrant, getTenantUserIds } = require("./tenants");
+const { EXPORT_FORMATS, DEFAULT_EXPORT_FORMAT, EXPORT_LISTS, DEFAULT_EXPORT_LIST, exportFileName, describeRange } = require("./exportReport");
 
 const app = express();
+const C7_WEBHOOK_SECRET = process.env.C7_WEBHOOK_SECRET;
 const PORT = process.env.PORT || 8080;
 
+// Commerce7 outages (open circuit, exhausted rate-limit retries) are reported as 503 so clients can retry later
+function upstreamErrorStatus(error) {
+    return error.code === "C7_CIRCUIT_OPEN" || error.response?.status === 429 ? 503 : 500;
+}
+
 const corsOptions = {
     origin: process.env.NODE_ENV === 'production' 
         ? (process.env.ALLOWED_ORIGINS ? process.env.ALLOWED_ORIGINS.split(',') : ['https://guestcountcheck-as5e4.kinsta.app'])
         : true,
     credentials: true,
+    exposedHeaders: ['X-Partial-Results', 'X-Skipped-Orders', 'Content-Disposition'],
     optionsSuccessStatus: 200
 };
 
 app.use(cors(corsOptions));
-app.use(express.json());
+// Keep the raw body so webhook signatures can be verified against the exact bytes sent
+app.use(express.json({
+    // Exports post the IDs of every order on screen
+    limit: "2mb",
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
 app.use(express.static(path.join(__dirname, ".")));
 
 // Authentication middleware
@@ -75,32 +156,158 @@ async function authenticateUser(req, res, next) {
         }
 
         req.user = user;
-        next();
     } catch (error) {
         console.error('Authentication error:', error);
         return res.status(401).json({ error: 'Authentication failed' });
     }
+
+    try {
+        req.userRole = await getUserRole(req.user.id);
+    } catch (error) {
+        console.error('[KINSTA ERROR] Failed to load user role:', error.message);
+        return res.status(500).json({ error: 'Failed to load user role' });
+    }
+
+    // Signing in is not enough: a manager has to assign a role before any data is visible
+    if (!req.userRole) {
+        return res.status(403).json({ error: 'No dashboard role assigned to this account' });
+    }
+
+    // Every request works on one winery: the one the dashboard selected (X-Tenant-Id), or the user's first
+    const requestedTenant = req.headers['x-tenant-id'];
+    try {
+        req.grantedTenants = await getGrantedTenants(req.user.id);
+        req.tenant = requestedTenant
+            ? req.grantedTenants.find(tenant => tenant.id === requestedTenant)
+            : req.grantedTenants[0];
+
+        // The grant holds the user's associate name at this winery, and may give them a different
+        // role there than their user_roles role
+        const grant = req.tenant && await getTenantGrant(req.user.id, req.tenant.id);
+        if (grant) {
+            req.userRole = { ...req.userRole, role: grant.role || req.userRole.role, associateName: grant.associateName };
+        }
+    } catch (error) {
+        console.error('[KINSTA ERROR] Failed to load tenant grants:', error.message);
+        return res.status(500).json({ error: 'Failed to load winery access' });
+    }
+
+    if (!req.tenant) {
+        return res.status(403).json({
+            error: requestedTenant ? 'You do not have access to this winery' : 'No winery access granted to this account'
+        });
+    }
+
+    next();
 }
 
-const authConfig = {
-  auth: {
-    username: process.env.C7_APP_ID,
-    password: process.env.C7_API_KEY,
-  },
-  headers: {
-    Tenant: process.env.C7_TENANT_ID || "milea-estate-vineyard",
-    "Content-Type": "application/json",
-  },
-};
+// Role check, used after authenticateUser
+function requirePermission(permission) {
+    return (req, res, next) => {
+        if (!hasPermission(req.userRole, permission)) {
+            return res.status(403).json({ error: 'Your role does not allow this action' });
+        }
+        next();
+    };
+}
+
+// Reject an unknown dateField (the order date a range applies to) before any orders are loaded
+function validateDateField(req, res, next) {
+    const { dateField } = req.query;
+    if (dateField && !Object.hasOwn(DATE_FIELDS, dateField)) {
+        return res.status(400).json({ message: `Date field must be one of: ${Object.keys(DATE_FIELDS).join(", ")}.` });
+    }
+    next();
+}
+
+// Normalize the from/to query dates into req.dateRange ({ startDate, endDate } as business days in the
+// winery's timezone), rejecting unreadable dates and ranges that end before they start
+function validateDateRange(req, res, next) {
+    try {
+        req.dateRange = parseDateRange(req.query.from, req.query.to, req.tenant.timeZone);
+    } catch (error) {
+        return res.status(400).json({ message: error.message });
+    }
+
+    const { startDate, endDate } = req.dateRange;
+    if (startDate && endDate && startDate > endDate) {
+        return res.status(400).json({ message: "The from date must be on or before the to date." });
+    }
+    next();
+}
+
+// Read the search and structured order filters (search, minTotal, maxTotal, minItems, maxItems,
+// kind) from the query into req.orderFilters, rejecting unusable values
+function validateOrderFilters(req, res, next) {
+    try {
+        req.orderFilters = parseOrderFilters(req.query);
+    } catch (error) {
+        return res.status(error.status || 400).json({ message: error.message });
+    }
+    next();
+}
+
+// Record the request in the audit log once the response has been sent, including denied and
+// failed attempts. 'close' rather than 'finish' so requests the client aborted (e.g. a cancelled
+// export) are recorded too. Goes after authenticateUser and before requirePermission.
+function audit(action, describe = req => ({ params: req.query })) {
+    return (req, res, next) => {
+        res.on('close', () => {
+            const { target = null, params = {} } = describe(req);
+            // 499 (client closed request) when the response never completed
+            const status = res.writableFinished ? res.statusCode : 499;
+            recordAudit(req.user, action, { tenantId: req.tenant.id, target, params, status });
+        });
+        next();
+    };
+}
+
+// Associates may only see and edit their own orders; look the order up to check who it is credited to
+async function assertOrderAccess(req, orderId) {
+    if (hasPermission(req.userRole, "viewAll")) return;
+
+    const { data } = await c7Get(req.tenant, `${C7_API_BASE}/order/${orderId}`);
+    const [order] = await attachAssociateIdentities(req.tenant.id, [data]);
+    if (!canAccessOrder(req.userRole, order)) {
+        const error = new Error("You don't have access to this order");
+        error.status = 403;
+        throw error;
+    }
+}
+
+// Webhook authentication: HMAC-SHA256 of the raw body with C7_WEBHOOK_SECRET,
+// sent as a hex digest in the X-Commerce7-Signature header (optionally prefixed "sha256=")
+function verifyWebhookSignature(req, res, next) {
+    if (!C7_WEBHOOK_SECRET) {
+        console.error('[KINSTA ERROR] Webhook received but C7_WEBHOOK_SECRET is not configured');
+        return res.status(503).json({ error: 'Webhooks are not configured' });
+    }
+
+    const header = req.headers['x-commerce7-signature'] || '';
+    const signature = header.replace(/^sha256=/, '');
+    const expected = crypto
+        .createHmac('sha256', C7_WEBHOOK_SECRET)
+        .update(req.rawBody || '')
+        .digest();
+
+    // Compare raw digest bytes; a malformed header decodes to fewer bytes and fails the length check
+    const received = Buffer.from(signature, 'hex');
+    const valid = received.length === expected.length
+        && crypto.timingSafeEqual(received, expected);
+
+    if (!valid) {
+        console.error('[KINSTA ERROR] Webhook rejected - invalid signature');
+        return res.status(401).json({ error: 'Invalid webhook signature' });
+    }
+
+    next();
+}
 
 // Test endpoint to verify Commerce7 connection
-app.get("/test-connection", async (req, res) => {
+app.get("/test-connection", authenticateUser, audit("connection.test"), requirePermission("admin"), async (req, res) => {
     try {
         console.log("Testing Commerce7 connection...");
-        const response = await axios.get(
-            "https://api.commerce7.com/v1/order?limit=1",
-            authConfig
-        );
+        const response = await c7Get(req.tenant, `${C7_API_BASE}/order?limit=1`);
         res.json({ 
             success: true, 
             message: "Commerce7 connection successful",
@@ -108,7 +315,7 @@ app.get("/test-connection", async (req, res) => {
         });
     } catch (error) {
         console.error("Commerce7 connection test failed:", error.response?.data || error.message);
-        res.status(500).json({ 
+        res.status(upstreamErrorStatus(error)).json({ 
             success: false, 
             message: "Commerce7 connection failed",
             error: error.response?.data || error.message 
@@ -117,36 +324,11 @@ app.get("/test-connection", async (req, res) => {
 });
 
 // New API endpoint to fetch orders for dashboard display
-app.get("/api/orders", async (req, res) => {
-  let { from, to } = req.query;
-  let url = "";
+app.get("/api/orders", authenticateUser, audit("orders.list"), validateDateField, validateDateRange, validateOrderFilters, async (req, res) => {
+  let { from, to, dateField = DEFAULT_DATE_FIELD } = req.query;
   let startDate = undefined;
   let endDate = undefined;
 
-  // Ensure the date is formatted correctly for Commerce7 API (YYYY-MM-DD)
-  function formatDate(date) {
-    try {
-      const dateStr = date.toString();
-      if (dateStr.match(/^\d{4}-\d{2}-\d{2}$/)) {
-        return dateStr; // Already in YYYY-MM-DD format
-      }
-      
-      const d = new Date(date);
-      if (isNaN(d.getTime())) {
-        throw new Error(`Invalid date: ${date}`);
-      }
-      
-      // Use UTC methods to avoid timezone shifts
-      const year = d.getUTCFullYear();
-      const month = String(d.getUTCMonth() + 1).padStart(2, '0');
-      const day = String(d.getUTCDate()).padStart(2, '0');
-      return `${year}-${month}-${day}`;
-    } catch (err) {
-      console.error("Date formatting error:", err);
-      throw new Error(`Failed to format date: ${date}`);
-    }
-  }
-
   try {
     if (!from && !to) {
       return res.status(400).json({ message: "At least one date is required." });
@@ -154,153 +336,67 @@ app.get("/api/orders", async (req, res) => {
 
     console.log(`[KINSTA DEBUG] Raw date inputs - from: "${from}", to: "${to}"`);
     
-    startDate = from ? formatDate(from) : undefined;
-    endDate = to ? formatDate(to) : undefined;
+    ({ startDate, endDate } = req.dateRange);
     
     console.log(`[KINSTA DEBUG] Formatted dates - startDate: "${startDate}", endDate: "${endDate}"`);
     
-    // Debug: Test with a smaller date range if the range is too large
-    if (startDate && endDate) {
-      const start = new Date(startDate);
-      const end = new Date(endDate);
-      const daysDiff = Math.ceil((end - start) / (1000 * 60 * 60 * 24));
-      console.log(`[KINSTA DEBUG] Date range spans ${daysDiff} days`);
-      
-      if (daysDiff > 30) {
-        console.log(`[KINSTA WARNING] Large date range (${daysDiff} days) - this might cause API issues`);
-      }
-    }
-
     console.log(`[KINSTA] Fetching orders from ${startDate} to ${endDate}...`);
 
-    // Fetch all orders with pagination
-    let allOrders = [];
-    let page = 1;
-    let hasMorePages = true;
-    const pageSize = 50; // Commerce7 maximum is 50 per page
-
-    while (hasMorePages) {
-      // Build the URL with pagination
-      url = `https://api.commerce7.com/v1/order?`;
-      if (startDate && endDate) {
-        // For date ranges, use btw: with pipe separator
-        url += `orderPaidDate=btw:${startDate}|${endDate}`;
-      } else if (startDate && !endDate) {
-        // From a specific date onwards
-        url += `orderPaidDate=gte:${startDate}`;
-      } else if (!startDate && endDate) {
-        // Up to a specific date
-        url += `orderPaidDate=lte:${endDate}`;
-      }
-      
-      // Add pagination parameters
-      url += `&page=${page}&limit=${pageSize}`;
-      
-      console.log(`[KINSTA DEBUG] Fetching page ${page} - URL: ${url}`);
-
-      try {
-        const response = await axios.get(url, authConfig);
-        
-        if (!response.data.orders || response.data.orders.length === 0) {
-          hasMorePages = false;
-          break;
-        }
-
-        allOrders = allOrders.concat(response.data.orders);
-        console.log(`[KINSTA DEBUG] Page ${page}: ${response.data.orders.length} orders (Total so far: ${allOrders.length})`);
-
-        // Check if there are more pages
-        if (response.data.orders.length < pageSize) {
-          hasMorePages = false;
-        } else {
-          page++;
-          
-          // Add delay between requests to avoid rate limiting
-          if (hasMorePages) {
-            console.log(`[KINSTA DEBUG] Waiting 500ms before next request...`);
-            await new Promise(resolve => setTimeout(resolve, 500));
-          }
-        }
-
-        // Safety check to prevent infinite loops
-        if (page > 100) {
-          console.log(`[KINSTA WARNING] Reached page limit (100) - stopping pagination`);
-          hasMorePages = false;
-        }
-      } catch (error) {
-        console.error(`[KINSTA ERROR] Failed to fetch page ${page}:`, error.message);
-        if (error.response?.status === 422) {
-          console.error(`[KINSTA ERROR] API validation error:`, error.response.data);
-        }
-        throw error; // Re-throw to be handled by the outer try-catch
-      }
-    }
-
-    console.log(`[KINSTA] Total orders fetched: ${allOrders.length} across ${page} pages`);
+    const { allOrders, missingOrders, failedPages, lastSyncedAt } = await getMissingGuestCountOrders(req.tenant, startDate, endDate, dateField);
 
     if (allOrders.length === 0) {
       throw new Error("No orders found for the specified date range");
     }
 
     // Debug: Log the structure of the first order's items to understand the data format
-    if (allOrders.length > 0 && allOrders[0].items) {
+    if (allOrders[0].items) {
       console.log("[KINSTA DEBUG] First order items structure:", JSON.stringify(allOrders[0].items[0], null, 2));
     }
     
     // Debug: Log the date range of returned orders
-    if (allOrders.length > 0) {
-      const orderDates = allOrders.map(order => ({
-        orderNumber: order.orderNumber,
-        orderDate: order.orderDate,
-        orderPaidDate: order.orderPaidDate,
-        orderSubmittedDate: order.orderSubmittedDate
-      }));
-      console.log("[KINSTA DEBUG] Sample order dates:", orderDates.slice(0, 5));
-      
-      // Debug: Log financial fields for the first order
-      const firstOrder = allOrders[0];
-      console.log("[KINSTA DEBUG] Order financial fields:", {
-        orderNumber: firstOrder.orderNumber,
-        subTotal: firstOrder.subTotal,
-        taxTotal: firstOrder.taxTotal,
-        tipTotal: firstOrder.tipTotal,
-        total: firstOrder.total,
-        totalAmount: firstOrder.totalAmount,
-        shippingTotal: firstOrder.shippingTotal,
-        dutyTotal: firstOrder.dutyTotal
-      });
-      
-      // Check date range coverage
-      const dates = allOrders.map(order => order.orderPaidDate || order.orderDate).filter(Boolean);
-      if (dates.length > 0) {
-        const minDate = new Date(Math.min(...dates.map(d => new Date(d))));
-        const maxDate = new Date(Math.max(...dates.map(d => new Date(d))));
-        console.log(`[KINSTA DEBUG] Date range of returned orders: ${minDate.toISOString().split('T')[0]} to ${maxDate.toISOString().split('T')[0]}`);
-      }
+    const orderDates = allOrders.map(order => ({
+      orderNumber: order.orderNumber,
+      orderDate: order.orderDate,
+      orderPaidDate: order.orderPaidDate,
+      orderSubmittedDate: order.orderSubmittedDate
+    }));
+    console.log("[KINSTA DEBUG] Sample order dates:", orderDates.slice(0, 5));
+    
+    // Debug: Log financial fields for the first order
+    const firstOrder = allOrders[0];
+    console.log("[KINSTA DEBUG] Order financial fields:", {
+      orderNumber: firstOrder.orderNumber,
+      subTotal: firstOrder.subTotal,
+      taxTotal: firstOrder.taxTotal,
+      tipTotal: firstOrder.tipTotal,
+      total: firstOrder.total,
+      totalAmount: firstOrder.totalAmount,
+      shippingTotal: firstOrder.shippingTotal,
+      dutyTotal: firstOrder.dutyTotal
+    });
+    
+    // Check date range coverage
+    const dates = allOrders.map(order => order.orderPaidDate || order.orderDate).filter(Boolean);
+    if (dates.length > 0) {
+      const minDate = new Date(Math.min(...dates.map(d => new Date(d))));
+      const maxDate = new Date(Math.max(...dates.map(d => new Date(d))));
+      console.log(`[KINSTA DEBUG] Date range of returned orders: ${minDate.toISOString().split('T')[0]} to ${maxDate.toISOString().split('T')[0]}`);
     }
 
-    // Define the products to exclude (from guest_count_check.ps1)
-    const excludedProductIDs = [
-      "fe778da9-5164-4688-acd2-98d044d7ce84", // NCG
-      "718b9fbb-4e23-48c7-8b2d-da86d2624b36", // Trade Guest
-      "75d4f6cf-cf69-4e76-8f3b-bb35cc7ddeb3", // Club Member
-      "7a5d9556-33e4-4d97-a3e8-37adefc6dcf0"  // Guests
-    ];
-
-    // Filter out orders missing guest counts and ensure they DO NOT contain the excluded products
-    const filteredOrders = allOrders
-      .filter(order => 
-        !order.guestCount && // Ensure guest count is missing
-        !order.items.some(item => excludedProductIDs.includes(item.productId)) // Exclude specific products
-      );
-
-    console.log(`[KINSTA] Found ${filteredOrders.length} orders missing guest counts (from ${allOrders.length} total)`);
+    const flaggedOrders = await attachReviewFlags(
+      req.tenant.id,
+      filterOrders(scopeOrdersToUser(missingOrders, req.userRole), req.orderFilters)
+    );
 
     // Return JSON with the full order objects instead of just OrderNumber and SalesAssociate
     res.json({ 
-      orders: filteredOrders,
-      total: filteredOrders.length,
-      dateRange: { from: startDate, to: endDate }
+      orders: flaggedOrders,
+      total: flaggedOrders.length,
+      dateRange: { from: startDate, to: endDate },
+      dateField,
+      filters: req.orderFilters,
+      lastSyncedAt,
+      ...partialResultInfo(failedPages)
     });
 
   } catch (error) {
@@ -308,16 +404,16 @@ app.get("/api/orders", async (req, res) => {
       message: error.message,
       response: error.response?.data,
       status: error.response?.status,
-      url: url,
+      url: error.config?.url,
       startDate: startDate,
       endDate: endDate
     });
     
-    res.status(500).json({ 
+    res.status(upstreamErrorStatus(error)).json({ 
       message: "Error fetching orders", 
       error: error.response?.data?.message || error.message,
       details: process.env.NODE_ENV === 'development' ? {
-        url: url,
+        url: error.config?.url,
         dates: { from: startDate, to: endDate }
       } : undefined
     });
@@ -325,17 +421,20 @@ app.get("/api/orders", async (req, res) => {
 });
 
 // API endpoint to fetch detailed order information
-app.get("/api/order/:orderId", async (req, res) => {
+app.get("/api/order/:orderId", authenticateUser, audit("order.view", req => ({ target: req.params.orderId })), async (req, res) => {
   const { orderId } = req.params;
 
   try {
     console.log(`[KINSTA] Fetching details for order ID: ${orderId}`);
 
     // Use the Commerce7 endpoint: GET https://api.commerce7.com/v1/order/{orderId}
-    const detailUrl = `https://api.commerce7.com/v1/order/${orderId}`;
-    const detailResponse = await axios.get(detailUrl, authConfig);
+    const detailUrl = `${C7_API_BASE}/order/${orderId}`;
+    const detailResponse = await c7Get(req.tenant, detailUrl);
 
-    const detailedOrder = detailResponse.data;
+    const [detailedOrder] = await attachAssociateIdentities(req.tenant.id, [detailResponse.data]);
+    if (!canAccessOrder(req.userRole, detailedOrder)) {
+      return res.status(403).json({ message: "You don't have access to this order" });
+    }
     console.log(`[KINSTA] Retrieved order details for ${orderId}`);
     
     // Debug: Log the structure of the detailed order's items
@@ -353,90 +452,445 @@ app.get("/api/order/:orderId", async (req, res) => {
       response: error.response?.data,
       status: error.response?.status
     });
-    res.status(500).json({ 
+    res.status(upstreamErrorStatus(error)).json({ 
       message: "Error fetching order details", 
       error: error.response?.data?.message || error.message
     });
   }
 });
 
-// API endpoint to get unique list of associates from filtered orders
-app.get("/api/associates", async (req, res) => {
-  let { from, to } = req.query;
-  let url = "";
+// Review flags: current flag plus history for one order
+app.get("/api/order/:orderId/flag", authenticateUser, audit("flag.view", req => ({ target: req.params.orderId })), async (req, res) => {
+  try {
+    await assertOrderAccess(req, req.params.orderId);
+    const history = await getFlagHistory(req.tenant.id, req.params.orderId);
+    res.json({
+      flag: history.find(flag => !flag.cleared_at) || null,
+      history
+    });
+  } catch (error) {
+    console.error("[KINSTA ERROR] Review flag lookup error:", error.message);
+    res.status(error.status || 500).json({ message: error.status ? error.message : "Error fetching review flag", error: error.message });
+  }
+});
+
+app.post("/api/order/:orderId/flag", authenticateUser, audit("flag.set", req => ({ target: req.params.orderId, params: req.body })), requirePermission("edit"), async (req, res) => {
+  const { orderId } = req.params;
+  const { orderNumber, note } = req.body || {};
+
+  try {
+    await assertOrderAccess(req, orderId);
+    const flag = await flagOrder(req.tenant.id, orderId, { orderNumber, note: note?.trim() || null }, req.user);
+    console.log(`[KINSTA] Order ${orderNumber || orderId} flagged for review by ${req.user.email}`);
+    res.json({ flag });
+  } catch (error) {
+    console.error("[KINSTA ERROR] Review flag save error:", error.message);
+    res.status(error.status || 500).json({ message: error.status ? error.message : "Error flagging order", error: error.message });
+  }
+});
+
+app.delete("/api/order/:orderId/flag", authenticateUser, audit("flag.clear", req => ({ target: req.params.orderId })), requirePermission("edit"), async (req, res) => {
+  const { orderId } = req.params;
+
+  try {
+    await assertOrderAccess(req, orderId);
+    const cleared = await clearFlag(req.tenant.id, orderId, req.user);
+    if (!cleared) {
+      return res.status(404).json({ message: "Order is not flagged for review." });
+    }
+
+    console.log(`[KINSTA] Review flag cleared on order ${cleared.order_number || orderId} by ${req.user.email}`);
+    res.json({ flag: null, cleared });
+  } catch (error) {
+    console.error("[KINSTA ERROR] Review flag clear error:", error.message);
+    res.status(error.status || 500).json({ message: error.status ? error.message : "Error clearing review flag", error: error.message });
+  }
+});
+
+const MAX_GUEST_COUNT = 500;
+
+// API endpoint to set an order's guest count in Commerce7
+app.put("/api/order/:orderId/guest-count", authenticateUser, audit("guestCount.update", req => ({ target: req.params.orderId, params: req.body })), requirePermission("edit"), async (req, res) => {
+  const { orderId } = req.params;
+  const guestCount = Number(req.body?.guestCount);
+
+  if (!Number.isInteger(guestCount) || guestCount < 1 || guestCount > MAX_GUEST_COUNT) {
+    return res.status(400).json({ message: `Guest count must be a whole number between 1 and ${MAX_GUEST_COUNT}.` });
+  }
+
+  try {
+    await assertOrderAccess(req, orderId);
+    console.log(`[KINSTA] Setting guest count for order ${orderId} to ${guestCount} (by ${req.user.email})`);
+
+    const updateUrl = `${C7_API_BASE}/order/${orderId}`;
+    const updateResponse = await c7Request(req.tenant, "put", updateUrl, { guestCount });
+
+    // Keep the local order store, live queue and kept live ranges current so the order drops out
+    // before the next sync
+    forgetLiveRanges(req.tenant.id);
+    if (updateResponse.data?.id) {
+      await upsertOrders(req.tenant.id, [updateResponse.data]).catch(error => {
+        console.error("[KINSTA ERROR] Failed to update order store:", error.message);
+      });
+      await recordOrderCheck(req.tenant.id, updateResponse.data).catch(error => {
+        console.error("[KINSTA ERROR] Failed to update missing guest count queue:", error.message);
+      });
+    }
+
+    res.json({
+      orderId,
+      guestCount: updateResponse.data?.guestCount ?? guestCount,
+      order: updateResponse.data
+    });
+
+  } catch (error) {
+    console.error("[KINSTA ERROR] Guest count update error:", {
+      orderId: orderId,
+      message: error.message,
+      response: error.response?.data,
+      status: error.response?.status
+    });
+
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    // Pass Commerce7's rejections (unknown order, validation errors) through to the client
+    const rejected = [400, 404, 422].includes(error.response?.status);
+    res.status(rejected ? error.response.status : upstreamErrorStatus(error)).json({
+      message: rejected ? "Commerce7 rejected the guest count update" : "Error updating guest count",
+      error: error.response?.data?.message || error.message
+    });
+  }
+});
+
+// Commerce7 order webhooks (create and update): check the guest count as orders change.
+// Commerce7 names the winery in tenantId; single-winery setups may omit it.
+app.post("/webhooks/commerce7/order", verifyWebhookSignature, async (req, res) => {
+  const { object, action, payload, tenantId = tenants.length === 1 ? tenants[0].id : undefined } = req.body || {};
+
+  if (object && object !== "Order") {
+    return res.json({ ignored: true, reason: `Unsupported object: ${object}` });
+  }
+  if (!payload?.id) {
+    return res.status(400).json({ message: "Webhook payload is missing the order." });
+  }
+  if (!getTenant(tenantId)) {
+    console.error(`[KINSTA ERROR] Webhook for unknown tenant "${tenantId}" ignored`);
+    return res.status(400).json({ message: "Webhook is for a winery this dashboard doesn't serve." });
+  }
+
+  try {
+    const status = await recordOrderCheck(tenantId, payload);
+    forgetLiveRanges(tenantId);
+    await upsertOrders(tenantId, [payload]).catch(error => {
+      console.error("[KINSTA ERROR] Failed to update order store:", error.message);
+    });
+
+    console.log(`[KINSTA] Webhook ${action || "event"} for ${tenantId} order ${payload.orderNumber}: ${status || "no guest count needed"}`);
+    res.json({ orderId: payload.id, status });
+
+  } catch (error) {
+    console.error("[KINSTA ERROR] Webhook processing error:", {
+      orderId: payload.id,
+      message: error.message
+    });
+    // A 500 lets Commerce7 retry the delivery
+    res.status(500).json({ message: "Error processing webhook", error: error.message });
+  }
+});
+
+// The signed-in user's role and wineries, so the dashboard can hide controls they can't use and offer a winery switcher
+app.get("/api/me", authenticateUser, audit("account.view"), async (req, res) => {
+  try {
+    const identity = await getIdentityForUser(req.tenant.id, req.user.id);
+    res.json({
+      email: req.user.email,
+      role: req.userRole.role,
+      associateName: identity?.display_name || req.userRole.associateName || null,
+      permissions: PERMISSIONS[req.userRole.role] || [],
+      timeZone: req.tenant.timeZone,
+      tenant: describeTenant(req.tenant),
+      tenants: req.grantedTenants.map(describeTenant)
+    });
+  } catch (error) {
+    console.error("[KINSTA ERROR] Current user lookup error:", error.message);
+    res.status(500).json({ message: "Error loading your account", error: error.message });
+  }
+});
+
+// Guest count compliance per associate: eligible orders, how many have a guest count, how many don't
+app.get("/api/compliance", authenticateUser, audit("compliance.view"), validateDateField, validateDateRange, async (req, res) => {
+  const { from, to, dateField } = req.query;
   let startDate = undefined;
   let endDate = undefined;
 
-  // Ensure the date is formatted correctly for Commerce7 API (YYYY-MM-DD)
-  function formatDate(date) {
-    try {
-      const dateStr = date.toString();
-      if (dateStr.match(/^\d{4}-\d{2}-\d{2}$/)) {
-        return dateStr; // Already in YYYY-MM-DD format
-      }
-      
-      const d = new Date(date);
-      if (isNaN(d.getTime())) {
-        throw new Error(`Invalid date: ${date}`);
-      }
-      
-      // Use UTC methods to avoid timezone shifts
-      const year = d.getUTCFullYear();
-      const month = String(d.getUTCMonth() + 1).padStart(2, '0');
-      const day = String(d.getUTCDate()).padStart(2, '0');
-      return `${year}-${month}-${day}`;
-    } catch (err) {
-      console.error("Date formatting error:", err);
-      throw new Error(`Failed to format date: ${date}`);
+  try {
+    if (!from && !to) {
+      return res.status(400).json({ message: "At least one date is required." });
+    }
+
+    ({ startDate, endDate } = req.dateRange);
+
+    const { eligibleOrders, failedPages } = await getMissingGuestCountOrders(req.tenant, startDate, endDate, dateField);
+    const visibleOrders = scopeOrdersToUser(eligibleOrders, req.userRole);
+
+    res.json({
+      associates: complianceByAssociate(visibleOrders),
+      overall: summarizeCompliance(visibleOrders),
+      dateRange: { from: startDate, to: endDate },
+      ...partialResultInfo(failedPages)
+    });
+  } catch (error) {
+    console.error("[KINSTA ERROR] Compliance endpoint error:", {
+      message: error.message,
+      response: error.response?.data,
+      status: error.response?.status,
+      url: error.config?.url,
+      startDate: startDate,
+      endDate: endDate
+    });
+    res.status(upstreamErrorStatus(error)).json({
+      message: "Error calculating compliance",
+      error: error.response?.data?.message || error.message
+    });
+  }
+});
+
+// Compliance for the selected range against the previous period or the same period last year
+app.get("/api/compliance/compare", authenticateUser, audit("compliance.compare"), validateDateField, validateDateRange, async (req, res) => {
+  const { from, to, compareTo = "previous", dateField } = req.query;
+  let startDate = undefined;
+  let endDate = undefined;
+
+  try {
+    if (!from || !to) {
+      return res.status(400).json({ message: "Both dates are required for a comparison." });
+    }
+    if (!COMPARISONS.includes(compareTo)) {
+      return res.status(400).json({ message: `Compare to must be one of: ${COMPARISONS.join(", ")}.` });
+    }
+
+    ({ startDate, endDate } = req.dateRange);
+    const comparison = comparisonRange(startDate, endDate, compareTo);
+
+    const [current, previous] = await Promise.all([
+      getMissingGuestCountOrders(req.tenant, startDate, endDate, dateField),
+      getMissingGuestCountOrders(req.tenant, comparison.startDate, comparison.endDate, dateField)
+    ]);
+
+    res.json({
+      ...compareCompliance(
+        scopeOrdersToUser(current.eligibleOrders, req.userRole),
+        scopeOrdersToUser(previous.eligibleOrders, req.userRole)
+      ),
+      compareTo,
+      dateRange: { from: startDate, to: endDate },
+      comparisonRange: { from: comparison.startDate, to: comparison.endDate },
+      ...partialResultInfo([...current.failedPages, ...previous.failedPages])
+    });
+  } catch (error) {
+    console.error("[KINSTA ERROR] Compliance comparison endpoint error:", {
+      message: error.message,
+      response: error.response?.data,
+      status: error.response?.status,
+      url: error.config?.url,
+      startDate: startDate,
+      endDate: endDate
+    });
+    res.status(upstreamErrorStatus(error)).json({
+      message: "Error comparing compliance",
+      error: error.response?.data?.message || error.message
+    });
+  }
+});
+
+// Missing vs eligible orders per day, week or month for the trend charts
+app.get("/api/compliance/trend", authenticateUser, audit("compliance.trend"), validateDateField, validateDateRange, async (req, res) => {
+  const { from, to, interval, byAssociate, dateField } = req.query;
+  let startDate = undefined;
+  let endDate = undefined;
+
+  try {
+    if (!from || !to) {
+      return res.status(400).json({ message: "Both dates are required for a trend." });
+    }
+    if (interval && !TREND_INTERVALS.includes(interval)) {
+      return res.status(400).json({ message: `Interval must be one of: ${TREND_INTERVALS.join(", ")}.` });
     }
+
+    ({ startDate, endDate } = req.dateRange);
+
+    const { eligibleOrders, failedPages } = await getMissingGuestCountOrders(req.tenant, startDate, endDate, dateField);
+    const trend = complianceTrend(scopeOrdersToUser(eligibleOrders, req.userRole), {
+      startDate,
+      endDate,
+      interval: interval || defaultTrendInterval(startDate, endDate),
+      byAssociate: byAssociate === "true",
+      timeZone: req.tenant.timeZone
+    });
+
+    res.json({
+      ...trend,
+      dateRange: { from: startDate, to: endDate },
+      ...partialResultInfo(failedPages)
+    });
+  } catch (error) {
+    console.error("[KINSTA ERROR] Compliance trend endpoint error:", {
+      message: error.message,
+      response: error.response?.data,
+      status: error.response?.status,
+      url: error.config?.url,
+      startDate: startDate,
+      endDate: endDate
+    });
+    res.status(upstreamErrorStatus(error)).json({
+      message: "Error calculating compliance trend",
+      error: error.response?.data?.message || error.message
+    });
   }
+});
+
+// Spend per guest and party size from orders with guest counts, plus revenue left unmeasured by missing counts
+app.get("/api/analytics/revenue", authenticateUser, audit("analytics.revenue"), validateDateField, validateDateRange, async (req, res) => {
+  const { from, to, dateField } = req.query;
+  let startDate = undefined;
+  let endDate = undefined;
 
   try {
     if (!from && !to) {
       return res.status(400).json({ message: "At least one date is required." });
     }
 
-    startDate = from ? formatDate(from) : undefined;
-    endDate = to ? formatDate(to) : undefined;
+    ({ startDate, endDate } = req.dateRange);
 
-    console.log(`[KINSTA] Fetching associates from orders ${startDate} to ${endDate}...`);
+    const { eligibleOrders, failedPages } = await getMissingGuestCountOrders(req.tenant, startDate, endDate, dateField);
+
+    res.json({
+      ...revenueAnalytics(scopeOrdersToUser(eligibleOrders, req.userRole), req.tenant.timeZone),
+      dateRange: { from: startDate, to: endDate },
+      ...partialResultInfo(failedPages)
+    });
+  } catch (error) {
+    console.error("[KINSTA ERROR] Revenue analytics endpoint error:", {
+      message: error.message,
+      response: error.response?.data,
+      status: error.response?.status,
+      url: error.config?.url,
+      startDate: startDate,
+      endDate: endDate
+    });
+    res.status(upstreamErrorStatus(error)).json({
+      message: "Error calculating revenue analytics",
+      error: error.response?.data?.message || error.message
+    });
+  }
+});
+
+const MY_ORDERS_LOOKBACK_DAYS = 30;
+
+// The associate opened "My orders": start a new visit. Kept apart from GET /api/my-orders, which
+// is reloaded on every search and would otherwise reset the "new since your last visit" marks.
+app.post("/api/my-orders/visit", authenticateUser, audit("myOrders.visit"), async (req, res) => {
+  try {
+    res.json({ lastVisitAt: await recordVisit(req.user.id, req.tenant.id) });
+  } catch (error) {
+    console.error("[KINSTA ERROR] My orders visit error:", error.message);
+    res.status(500).json({ message: "Error recording your visit", error: error.message });
+  }
+});
 
-    // Build the URL
-    url = `https://api.commerce7.com/v1/order?`;
-    if (startDate && endDate) {
-      url += `orderPaidDate=btw:${startDate}|${endDate}`;
-    } else if (startDate) {
-      url += `orderPaidDate=gte:${startDate}`;
-    } else if (endDate) {
-      url += `orderPaidDate=lte:${endDate}`;
+// Personal view for the associate linked to this user: their outstanding missing orders,
+// this week's compliance and how many went missing since their last visit
+app.get("/api/my-orders", authenticateUser, audit("myOrders.view"), validateOrderFilters, async (req, res) => {
+  try {
+    const identity = await getIdentityForUser(req.tenant.id, req.user.id);
+    if (!identity && !req.userRole.associateName) {
+      return res.status(404).json({ message: "Your account isn't linked to a sales associate." });
     }
 
-    const response = await axios.get(url, authConfig);
+    const { timeZone } = req.tenant;
+    const today = formatDate(new Date(), timeZone);
+    const lookbackStart = formatDate(new Date(Date.now() - MY_ORDERS_LOOKBACK_DAYS * 24 * 60 * 60 * 1000), timeZone);
+    const week = currentWeekRange(timeZone);
+
+    const [{ eligibleOrders, failedPages, lastSyncedAt }, lastVisitAt] = await Promise.all([
+      // The lookback always covers the current week
+      getMissingGuestCountOrders(req.tenant, lookbackStart, today),
+      getPreviousVisit(req.user.id, req.tenant.id)
+    ]);
+
+    const myEligible = eligibleOrders.filter(order => isOwnOrder(req.userRole, order));
+    const myMissing = myEligible
+      .filter(order => !order.guestCount)
+      .map(order => ({
+        ...order,
+        newSinceLastVisit: Boolean(lastVisitAt) && new Date(order.orderPaidDate || order.orderDate) > new Date(lastVisitAt)
+      }));
+    const thisWeek = myEligible.filter(order => formatDate(order.orderPaidDate || order.orderDate, timeZone) >= week.startDate);
+    // The search narrows the list; the counts and this week's compliance still cover every order
+    const listed = filterOrders(myMissing, req.orderFilters);
+
+    res.json({
+      associateName: identity?.display_name || req.userRole.associateName,
+      orders: await attachReviewFlags(req.tenant.id, listed),
+      total: listed.length,
+      dateRange: { from: lookbackStart, to: today },
+      week: { from: week.startDate, to: week.endDate, ...summarizeCompliance(thisWeek) },
+      lastVisitAt,
+      newSinceLastVisit: myMissing.filter(order => order.newSinceLastVisit).length,
+      filters: req.orderFilters,
+      lastSyncedAt,
+      ...partialResultInfo(failedPages)
+    });
+  } catch (error) {
+    console.error("[KINSTA ERROR] My orders endpoint error:", {
+      message: error.message,
+      response: error.response?.data,
+      status: error.response?.status,
+      url: error.config?.url
+    });
+    res.status(upstreamErrorStatus(error)).json({
+      message: "Error fetching your orders",
+      error: error.response?.data?.message || error.message
+    });
+  }
+});
+
+// Live queue of orders currently missing guest counts (fed by webhooks, no date range needed)
+app.get("/api/missing-queue", authenticateUser, audit("queue.view"), validateOrderFilters, async (req, res) => {
+  try {
+    const outstanding = await attachAssociateIdentities(req.tenant.id, await listOutstanding(req.tenant.id));
+    const scoped = scopeOrdersToUser(outstanding, req.userRole);
+    const orders = await attachReviewFlags(req.tenant.id, filterOrders(scoped, req.orderFilters));
+    // `total` is the whole queue, for the button's count, whatever the search
+    res.json({ orders, total: scoped.length, filters: req.orderFilters });
+  } catch (error) {
+    console.error("[KINSTA ERROR] Missing queue error:", error.message);
+    res.status(500).json({ message: "Error fetching missing guest count queue", error: error.message });
+  }
+});
 
-    console.log(`[KINSTA] Loaded ${response.data.orders?.length || 0} orders for associate filtering`);
+// API endpoint to get unique list of associates from filtered orders
+app.get("/api/associates", authenticateUser, audit("associates.list"), validateDateField, validateDateRange, async (req, res) => {
+  let { from, to, dateField = DEFAULT_DATE_FIELD } = req.query;
+  let startDate = undefined;
+  let endDate = undefined;
 
-    if (!response.data.orders) {
-      throw new Error("Invalid response from Commerce7 API: Missing 'orders' field");
+  try {
+    if (!from && !to) {
+      return res.status(400).json({ message: "At least one date is required." });
     }
 
-    // Define the products to exclude (from guest_count_check.ps1)
-    const excludedProductIDs = [
-      "fe778da9-5164-4688-acd2-98d044d7ce84", // NCG
-      "718b9fbb-4e23-48c7-8b2d-da86d2624b36", // Trade Guest
-      "75d4f6cf-cf69-4e76-8f3b-bb35cc7ddeb3", // Club Member
-      "7a5d9556-33e4-4d97-a3e8-37adefc6dcf0"  // Guests
-    ];
+    ({ startDate, endDate } = req.dateRange);
+
+    console.log(`[KINSTA] Fetching associates from orders ${startDate} to ${endDate}...`);
 
-    // Filter out orders missing guest counts and ensure they DO NOT contain the excluded products
-    const filteredOrders = response.data.orders
-      .filter(order => 
-        !order.guestCount && // Ensure guest count is missing
-        !order.items.some(item => excludedProductIDs.includes(item.productId)) // Exclude specific products
-      );
+    const { missingOrders, failedPages } = await getMissingGuestCountOrders(req.tenant, startDate, endDate, dateField);
 
-    // Extract unique values from order.salesAssociate?.name (same as current code does)
-    const uniqueAssociates = [...new Set(filteredOrders.map(order => 
-      order.salesAssociate?.name || "Unknown"
+    // Canonical associate names, so name variants of one person are listed once
+    const uniqueAssociates = [...new Set(scopeOrdersToUser(missingOrders, req.userRole).map(order => 
+      order.associate.name
     ))].sort();
 
     console.log(`[KINSTA] Found ${uniqueAssociates.length} unique associates`);
@@ -444,7 +898,8 @@ app.get("/api/associates", async (req, res) => {
     res.json({ 
       associates: uniqueAssociates,
       total: uniqueAssociates.length,
-      dateRange: { from: startDate, to: endDate }
+      dateRange: { from: startDate, to: endDate },
+      ...partialResultInfo(failedPages)
     });
 
   } catch (error) {
@@ -452,152 +907,408 @@ app.get("/api/associates", async (req, res) => {
       message: error.message,
       response: error.response?.data,
       status: error.response?.status,
-      url: url,
+      url: error.config?.url,
       startDate: startDate,
       endDate: endDate
     });
     
-    res.status(500).json({ 
+    res.status(upstreamErrorStatus(error)).json({ 
       message: "Error fetching associates", 
       error: error.response?.data?.message || error.message,
       details: process.env.NODE_ENV === 'development' ? {
-        url: url,
+        url: error.config?.url,
         dates: { from: startDate, to: endDate }
       } : undefined
     });
   }
 });
 
-app.get("/export", async (req, res) => {
-  let { from, to, associates, search } = req.query;
-  let url = "";
-  let startDate = undefined;
-  let endDate = undefined;
+// Guest-count exclusion rules (products that make a guest count unnecessary)
+app.get("/api/exclusions", authenticateUser, audit("exclusion.list"), requirePermission("admin"), async (req, res) => {
+  try {
+    const exclusions = await listExclusions(req.tenant.id);
+    res.json({ exclusions });
+  } catch (error) {
+    console.error("[KINSTA ERROR] Exclusions list error:", error.message);
+    res.status(500).json({ message: "Error fetching exclusion rules", error: error.message });
+  }
+});
 
-  // Ensure the date is formatted correctly for Commerce7 API (YYYY-MM-DD)
-  function formatDate(date) {
-    try {
-      const dateStr = date.toString();
-      if (dateStr.match(/^\d{4}-\d{2}-\d{2}$/)) {
-        return dateStr; // Already in YYYY-MM-DD format
-      }
-      
-      const d = new Date(date);
-      if (isNaN(d.getTime())) {
-        throw new Error(`Invalid date: ${date}`);
-      }
-      
-      // Use UTC methods to avoid timezone shifts
-      const year = d.getUTCFullYear();
-      const month = String(d.getUTCMonth() + 1).padStart(2, '0');
-      const day = String(d.getUTCDate()).padStart(2, '0');
-      return `${year}-${month}-${day}`;
-    } catch (err) {
-      console.error("Date formatting error:", err);
-      throw new Error(`Failed to format date: ${date}`);
-    }
+app.post("/api/exclusions", authenticateUser, audit("exclusion.create", req => ({ params: req.body })), requirePermission("admin"), async (req, res) => {
+  const { productId, label, enabled } = req.body || {};
+
+  if (!productId || !label) {
+    return res.status(400).json({ message: "Product ID and label are required." });
   }
 
   try {
-    if (!from && !to) {
-      return res.status(400).json({ message: "At least one date is required." });
-    }
+    const exclusion = await createExclusion(req.tenant.id, { productId: productId.trim(), label: label.trim(), enabled });
+    console.log(`[KINSTA] Exclusion rule added by ${req.user.email}: ${exclusion.label} (${exclusion.product_id})`);
+    res.status(201).json({ exclusion });
+  } catch (error) {
+    console.error("[KINSTA ERROR] Exclusion create error:", error.message);
+    // 23505 = unique violation on product_id
+    const status = error.code === "23505" ? 409 : 500;
+    res.status(status).json({
+      message: status === 409 ? "That product is already excluded." : "Error saving exclusion rule",
+      error: error.message
+    });
+  }
+});
+
+app.patch("/api/exclusions/:id", authenticateUser, audit("exclusion.update", req => ({ target: req.params.id, params: req.body })), requirePermission("admin"), async (req, res) => {
+  const { productId, label, enabled } = req.body || {};
+
+  if (label !== undefined && !String(label).trim()) {
+    return res.status(400).json({ message: "Label cannot be empty." });
+  }
+  if (enabled !== undefined && typeof enabled !== "boolean") {
+    return res.status(400).json({ message: "Enabled must be true or false." });
+  }
+
+  try {
+    const exclusion = await updateExclusion(req.tenant.id, req.params.id, {
+      productId: productId?.trim(),
+      label: label?.trim(),
+      enabled
+    });
+    console.log(`[KINSTA] Exclusion rule updated by ${req.user.email}: ${exclusion.label} (enabled: ${exclusion.enabled})`);
+    res.json({ exclusion });
+  } catch (error) {
+    console.error("[KINSTA ERROR] Exclusion update error:", error.message);
+    // 23505 = unique violation on product_id
+    const status = error.code === "23505" ? 409 : 500;
+    res.status(status).json({
+      message: status === 409 ? "That product is already excluded." : "Error updating exclusion rule",
+      error: error.message
+    });
+  }
+});
+
+// Rules deciding which orders require a guest count
+app.get("/api/guest-count-rules", authenticateUser, audit("rule.list"), requirePermission("admin"), async (req, res) => {
+  try {
+    const rules = await listRules(req.tenant.id);
+    res.json({ rules });
+  } catch (error) {
+    console.error("[KINSTA ERROR] Guest count rules list error:", error.message);
+    res.status(500).json({ message: "Error fetching guest count rules", error: error.message });
+  }
+});
+
+app.post("/api/guest-count-rules", authenticateUser, audit("rule.create", req => ({ params: req.body })), requirePermission("admin"), async (req, res) => {
+  const { name, priority, enabled, conditions } = req.body || {};
+
+  if (!name || !String(name).trim()) {
+    return res.status(400).json({ message: "Rule name is required." });
+  }
+  if (priority !== undefined && !Number.isInteger(priority)) {
+    return res.status(400).json({ message: "Priority must be a whole number." });
+  }
 
-    startDate = from ? formatDate(from) : undefined;
-    endDate = to ? formatDate(to) : undefined;
+  try {
+    const rule = await createRule(req.tenant.id, { name: name.trim(), priority, enabled, conditions });
+    console.log(`[KINSTA] Guest count rule added by ${req.user.email}: ${rule.name}`);
+    res.status(201).json({ rule });
+  } catch (error) {
+    console.error("[KINSTA ERROR] Guest count rule create error:", error.message);
+    res.status(error.status || 500).json({ message: error.status ? error.message : "Error saving guest count rule", error: error.message });
+  }
+});
 
-    console.log(`[KINSTA] Export: Fetching orders from ${startDate} to ${endDate}...`);
+app.patch("/api/guest-count-rules/:id", authenticateUser, audit("rule.update", req => ({ target: req.params.id, params: req.body })), requirePermission("admin"), async (req, res) => {
+  const { name, priority, enabled, conditions } = req.body || {};
 
-    // Build the URL (don't use 'let' here, just assign to existing variable)
-    url = `https://api.commerce7.com/v1/order?`;
-    if (startDate && endDate) {
-      url += `orderPaidDate=btw:${startDate}|${endDate}`;
-    } else if (startDate) {
-      url += `orderPaidDate=gte:${startDate}`;
-    } else if (endDate) {
-      url += `orderPaidDate=lte:${endDate}`;
+  if (name !== undefined && !String(name).trim()) {
+    return res.status(400).json({ message: "Rule name cannot be empty." });
+  }
+  if (priority !== undefined && !Number.isInteger(priority)) {
+    return res.status(400).json({ message: "Priority must be a whole number." });
+  }
+  if (enabled !== undefined && typeof enabled !== "boolean") {
+    return res.status(400).json({ message: "Enabled must be true or false." });
+  }
+
+  try {
+    const rule = await updateRule(req.tenant.id, req.params.id, { name: name?.trim(), priority, enabled, conditions });
+    console.log(`[KINSTA] Guest count rule updated by ${req.user.email}: ${rule.name} (enabled: ${rule.enabled})`);
+    res.json({ rule });
+  } catch (error) {
+    console.error("[KINSTA ERROR] Guest count rule update error:", error.message);
+    res.status(error.status || 500).json({ message: error.status ? error.message : "Error updating guest count rule", error: error.message });
+  }
+});
+
+// Sales associate identities: map Commerce7 associate IDs and name variants to one person
+app.get("/api/associate-identities", authenticateUser, audit("associate.list"), requirePermission("admin"), validateDateRange, async (req, res) => {
+  const { from, to } = req.query;
+
+  try {
+    const [identities, { data: usersData, error: usersError }, tenantUserIds] = await Promise.all([
+      listIdentities(req.tenant.id),
+      supabase.auth.admin.listUsers({ perPage: 1000 }),
+      getTenantUserIds(req.tenant.id)
+    ]);
+    if (usersError) throw usersError;
+
+    // Associates on orders in the selected range that aren't mapped to anyone yet
+    let unmapped = [];
+    if (from || to) {
+      const { startDate, endDate } = req.dateRange;
+      const { allOrders } = await getMissingGuestCountOrders(req.tenant, startDate, endDate);
+      unmapped = findUnmappedAssociates(allOrders);
     }
 
-    const response = await axios.get(url, authConfig);
+    res.json({
+      identities,
+      unmapped,
+      // Only users granted this winery; other wineries' staff stay private
+      users: usersData.users
+        .filter(user => tenantUserIds.includes(user.id))
+        .map(user => ({ id: user.id, email: user.email }))
+    });
+  } catch (error) {
+    console.error("[KINSTA ERROR] Associate identities list error:", error.message);
+    res.status(upstreamErrorStatus(error)).json({ message: "Error fetching associates", error: error.message });
+  }
+});
+
+// Only users granted this winery can be linked to one of its associates
+async function assertTenantUser(tenantId, userId) {
+  if (!userId) return;
+  const tenantUserIds = await getTenantUserIds(tenantId);
+  if (!tenantUserIds.includes(userId)) {
+    throw Object.assign(new Error("That user doesn't have access to this winery."), { status: 400 });
+  }
+}
+
+app.post("/api/associate-identities", authenticateUser, audit("associate.create", req => ({ params: req.body })), requirePermission("admin"), async (req, res) => {
+  const { displayName, userId, c7AssociateIds, nameVariants } = req.body || {};
+
+  if (!displayName || !String(displayName).trim()) {
+    return res.status(400).json({ message: "Display name is required." });
+  }
+
+  try {
+    await assertTenantUser(req.tenant.id, userId);
+    const identity = await createIdentity(req.tenant.id, { displayName: displayName.trim(), userId: userId || null, c7AssociateIds, nameVariants });
+    console.log(`[KINSTA] Associate identity added by ${req.user.email}: ${identity.display_name}`);
+    res.status(201).json({ identity });
+  } catch (error) {
+    console.error("[KINSTA ERROR] Associate identity create error:", error.message);
+    // 23505 = unique violation on display_name or user_id
+    const status = error.status || (error.code === "23505" ? 409 : 500);
+    res.status(status).json({
+      message: error.status ? error.message
+        : status === 409 ? "That name or user is already used by another associate." : "Error saving associate",
+      error: error.message
+    });
+  }
+});
+
+app.patch("/api/associate-identities/:id", authenticateUser, audit("associate.update", req => ({ target: req.params.id, params: req.body })), requirePermission("admin"), async (req, res) => {
+  const { displayName, userId, c7AssociateIds, nameVariants } = req.body || {};
+
+  if (displayName !== undefined && !String(displayName).trim()) {
+    return res.status(400).json({ message: "Display name cannot be empty." });
+  }
+  if ([c7AssociateIds, nameVariants].some(list => list !== undefined && !Array.isArray(list))) {
+    return res.status(400).json({ message: "Associate IDs and name variants must be lists." });
+  }
+
+  try {
+    await assertTenantUser(req.tenant.id, userId);
+    const identity = await updateIdentity(req.tenant.id, req.params.id, {
+      displayName: displayName?.trim(),
+      userId: userId === undefined ? undefined : userId || null,
+      c7AssociateIds,
+      nameVariants
+    });
+    console.log(`[KINSTA] Associate identity updated by ${req.user.email}: ${identity.display_name}`);
+    res.json({ identity });
+  } catch (error) {
+    console.error("[KINSTA ERROR] Associate identity update error:", error.message);
+    // 23505 = unique violation on display_name or user_id
+    const status = error.status || (error.code === "23505" ? 409 : 500);
+    res.status(status).json({
+      message: error.status ? error.message
+        : status === 409 ? "That name or user is already used by another associate." : "Error updating associate",
+      error: error.message
+    });
+  }
+});
+
+// Merge duplicate associates into one
+app.post("/api/associate-identities/:id/merge", authenticateUser, audit("associate.merge", req => ({ target: req.params.id, params: req.body })), requirePermission("admin"), async (req, res) => {
+  const sourceIds = Array.isArray(req.body?.sourceIds) ? [...new Set(req.body.sourceIds)] : null;
+
+  if (!sourceIds || sourceIds.length === 0 || sourceIds.includes(req.params.id)) {
+    return res.status(400).json({ message: "Choose one or more other associates to merge." });
+  }
+
+  try {
+    const identity = await mergeIdentities(req.tenant.id, req.params.id, sourceIds);
+    console.log(`[KINSTA] ${sourceIds.length} associate(s) merged into ${identity.display_name} by ${req.user.email}`);
+    res.json({ identity });
+  } catch (error) {
+    console.error("[KINSTA ERROR] Associate merge error:", error.message);
+    res.status(error.status || 500).json({ message: error.status ? error.message : "Error merging associates", error: error.message });
+  }
+});
 
-    console.log(`[KINSTA] Export: Loaded ${response.data.orders?.length || 0} orders for export`);
+// Audit log search (managers)
+app.get("/api/audit-log", authenticateUser, audit("auditLog.search"), requirePermission("admin"), async (req, res) => {
+  const { user, action, target, from, to } = req.query;
+  const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
 
-    if (!response.data.orders) {
-      throw new Error("Invalid response from Commerce7 API: Missing 'orders' field");
+  try {
+    res.json(await searchAuditLog(req.tenant.id, { user, action, target, from, to, offset, timeZone: req.tenant.timeZone }));
+  } catch (error) {
+    console.error("[KINSTA ERROR] Audit log search error:", error.message);
+    res.status(error.status || 500).json({ message: error.status ? error.message : "Error searching audit log", error: error.message });
+  }
+});
+
+// Export exactly the orders the dashboard is showing: the body lists their IDs in display order
+// with the filters they were listed under, and each is looked up again so the file can't include
+// anything the user couldn't load. The query names the list (`list`: range, mine or queue) and the
+// format; the date range list also carries its range and date field like /api/orders and is looked
+// up within it, while My orders and the live queue are looked up by ID in the order store.
+app.post("/export", authenticateUser, audit("export", req => ({
+  params: { ...req.query, orders: req.body?.orderIds?.length, filters: req.body?.filters, sort: req.body?.sort }
+})), requirePermission("export"), validateDateField, validateDateRange, async (req, res) => {
+  let { list = DEFAULT_EXPORT_LIST, from, to, dateField = DEFAULT_DATE_FIELD, format = DEFAULT_EXPORT_FORMAT } = req.query;
+  const { orderIds, filters = {}, sort } = req.body || {};
+  let startDate = undefined;
+  let endDate = undefined;
+
+  try {
+    if (!filters || typeof filters !== "object" || Array.isArray(filters)) {
+      return res.status(400).json({ message: "Filters must be an object." });
+    }
+    const { flag = "all" } = filters;
+    if (!Object.hasOwn(FLAG_FILTERS, flag)) {
+      return res.status(400).json({ message: `Review flag filter must be one of: ${Object.keys(FLAG_FILTERS).join(", ")}.` });
     }
 
-    // ❌ Define the products to exclude (from guest_count_check.ps1)
-    const excludedProductIDs = [
-      "fe778da9-5164-4688-acd2-98d044d7ce84", // NCG
-      "718b9fbb-4e23-48c7-8b2d-da86d2624b36", // Trade Guest
-      "75d4f6cf-cf69-4e76-8f3b-bb35cc7ddeb3", // Club Member
-      "7a5d9556-33e4-4d97-a3e8-37adefc6dcf0"  // Guests
-    ];
+    // The same search and filters the list was loaded with; re-checked so the file can't hold an
+    // order the list wouldn't show
+    const orderFilters = parseOrderFilters(filters);
 
-    // ✅ Filter out orders missing guest counts and ensure they DO NOT contain the excluded products
-    let filteredOrders = response.data.orders
-      .filter(order => 
-        !order.guestCount && // Ensure guest count is missing
-        !order.items.some(item => excludedProductIDs.includes(item.productId)) // Exclude specific products
-      );
+    if (!Object.hasOwn(EXPORT_LISTS, list)) {
+      return res.status(400).json({ message: `List must be one of: ${Object.keys(EXPORT_LISTS).join(", ")}.` });
+    }
 
-    // Apply additional filters from dashboard
-    if (associates) {
-      const associateList = associates.split(',').filter(Boolean);
-      if (associateList.length > 0) {
-        filteredOrders = filteredOrders.filter(order => 
-          associateList.includes(order.salesAssociate?.name)
-        );
-      }
+    const byRange = list === DEFAULT_EXPORT_LIST;
+    if (byRange && !from && !to) {
+      return res.status(400).json({ message: "At least one date is required." });
     }
 
-    if (search) {
-      filteredOrders = filteredOrders.filter(order => 
-        order.orderNumber.toLowerCase().includes(search.toLowerCase())
-      );
+    if (!Object.hasOwn(EXPORT_FORMATS, format)) {
+      return res.status(400).json({ message: `Format must be one of: ${Object.keys(EXPORT_FORMATS).join(", ")}.` });
     }
 
-    const exportOrders = filteredOrders.map(order => ({
-        OrderNumber: order.orderNumber,
-      SalesAssociate: order.salesAssociate?.name || "Unknown",
-      OrderDate: order.orderPaidDate || order.orderDate,
-      TotalAmount: order.totalAmount || 0,
-      GuestCount: order.guestCount || "Missing"
-      }));
+    if (!Array.isArray(orderIds) || orderIds.length === 0 || !orderIds.every(id => typeof id === "string")) {
+      return res.status(400).json({ message: "No orders to export." });
+    }
 
-    console.log(`[KINSTA] Export: Found ${exportOrders.length} orders for Excel export`);
+    let eligibleOrders;
+    let failedPages = [];
+    if (byRange) {
+      ({ startDate, endDate } = req.dateRange);
+      console.log(`[KINSTA] Export: Fetching orders from ${startDate} to ${endDate}...`);
+      ({ eligibleOrders, failedPages } = await getMissingGuestCountOrders(req.tenant, startDate, endDate, dateField));
+    } else {
+      // Queue entries stand in for orders the store doesn't have yet
+      dateField = DEFAULT_DATE_FIELD;
+      console.log(`[KINSTA] Export: Looking up ${orderIds.length} orders from ${EXPORT_LISTS[list].label}...`);
+      ({ eligibleOrders } = await getOrdersByIds(req.tenant, orderIds, () => listOutstanding(req.tenant.id)));
+    }
+    // Only orders the user may see; without a range the summary covers the looked-up orders alone
+    const scopedOrders = scopeOrdersToUser(eligibleOrders, req.userRole);
+    const ordersById = new Map(scopedOrders.map(order => [order.id, order]));
+
+    const exportOrders = await attachReviewFlags(
+      req.tenant.id,
+      filterOrders(orderIds.map(id => ordersById.get(id)).filter(Boolean), orderFilters)
+    );
+    const skipped = orderIds.length - exportOrders.length;
+
+    console.log(`[KINSTA] Export: Found ${exportOrders.length} of ${orderIds.length} orders for ${format} export`);
 
     if (exportOrders.length === 0) {
-      return res.status(400).json({ message: "No orders missing guest counts found." });
+      return res.status(400).json({
+        message: byRange ? "None of these orders were found in the selected range." : "None of these orders could be found."
+      });
     }
 
-    // ✅ Convert to Excel format
-    const worksheet = XLSX.utils.json_to_sheet(exportOrders);
-    const workbook = XLSX.utils.book_new();
-    XLSX.utils.book_append_sheet(workbook, worksheet, "Missing Guest Counts");
+    // The summary covers every order that needed a count for the associates being exported
+    const associateList = Array.isArray(filters.associates) ? filters.associates : [];
+    const summaryOrders = associateList.length > 0
+      ? scopedOrders.filter(order => associateList.includes(order.associate.name))
+      : scopedOrders;
+
+    const buffer = await EXPORT_FORMATS[format].build({
+      orders: exportOrders,
+      eligibleOrders: summaryOrders,
+      dateField,
+      timeZone: req.tenant.timeZone,
+      parameters: {
+        Winery: req.tenant.name,
+        List: EXPORT_LISTS[list].label,
+        From: startDate,
+        To: endDate,
+        DateAppliesTo: DATE_FIELDS[dateField].column,
+        Associates: associateList.join(", ") || "All",
+        Search: orderFilters.search || "",
+        TotalAmount: describeRange(orderFilters.minTotal, orderFilters.maxTotal, amount => `$${amount}`),
+        ItemCount: describeRange(orderFilters.minItems, orderFilters.maxItems, count => count),
+        OrderType: { reservation: "Reservation", retail: "Retail" }[orderFilters.kind] || "All",
+        ReviewFlag: FLAG_FILTERS[flag],
+        SortedBy: sort?.field ? `${sort.field} (${sort.direction === "desc" ? "descending" : "ascending"})` : "Default",
+        Orders: exportOrders.length,
+        TimeZone: req.tenant.timeZone,
+        GeneratedAt: localDateTime(new Date(), req.tenant.timeZone),
+        GeneratedBy: req.user.email,
+        MissingPages: failedPages.map(describeFailedPage).join(", ")
+      }
+    });
 
-    const buffer = XLSX.write(workbook, { type: "buffer", bookType: "xlsx" });
+    console.log(`[KINSTA] Export: Generated ${format} file with ${exportOrders.length} orders`);
 
-    console.log(`[KINSTA] Export: Generated Excel file with ${exportOrders.length} orders`);
+    // Let the client know the report may be incomplete
+    if (failedPages.length > 0) {
+      res.setHeader("X-Partial-Results", failedPages.map(describeFailedPage).join(","));
+    }
+
+    // Orders that are no longer in the range (or the user's scope) are left out; say how many
+    if (skipped > 0) {
+      res.setHeader("X-Skipped-Orders", String(skipped));
+    }
 
-    res.setHeader("Content-Disposition", "attachment; filename=guest_count_report.xlsx");
-    res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+    res.setHeader("Content-Disposition", `attachment; filename="${exportFileName({ list, from: startDate, to: endDate, dateField, filters: { associates: associateList, flag, ...orderFilters }, format, timeZone: req.tenant.timeZone })}"`);
+    res.setHeader("Content-Type", EXPORT_FORMATS[format].contentType);
     res.send(buffer);
   } catch (error) {
     console.error("[KINSTA ERROR] Export endpoint error:", {
       message: error.message,
       response: error.response?.data,
       status: error.response?.status,
-      url: url,
+      url: error.config?.url,
       startDate: startDate,
       endDate: endDate
     });
+
+    // Unusable filter values
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
     
-    res.status(500).json({ 
-      message: "Error generating Excel report", 
+    res.status(upstreamErrorStatus(error)).json({ 
+      message: "Error generating export", 
       error: error.response?.data?.message || error.message,
       details: process.env.NODE_ENV === 'development' ? {
-        url: url,
+        url: error.config?.url,
         dates: { from: startDate, to: endDate }
       } : undefined
     });
@@ -0,0 +1,114 @@
+// tenants.js - The Commerce7 wineries this dashboard serves and which users may open each
+
+const supabase = require("./supabaseClient");
+const { DEFAULT_TIME_ZONE, resolveTimeZone } = require("./timeZone");
+
+const GRANTS_TABLE = "user_tenants";
+const CACHE_TTL_MS = 60000;
+
+// C7_TENANTS lists every winery as JSON: [{ "id", "name", "appId", "apiKey", "timeZone" }, ...].
+// Without it the single C7_TENANT_ID / C7_APP_ID / C7_API_KEY winery is the only tenant.
+// A winery without its own timeZone (IANA name) uses TENANT_TIME_ZONE.
+function loadTenants() {
+  if (!process.env.C7_TENANTS) {
+    return [{
+      id: process.env.C7_TENANT_ID || "milea-estate-vineyard",
+      name: process.env.C7_TENANT_NAME || process.env.C7_TENANT_ID || "Milea Estate Vineyard",
+      appId: process.env.C7_APP_ID,
+      apiKey: process.env.C7_API_KEY,
+      timeZone: DEFAULT_TIME_ZONE
+    }];
+  }
+
+  let configured;
+  try {
+    configured = JSON.parse(process.env.C7_TENANTS);
+  } catch (error) {
+    throw new Error(`C7_TENANTS is not valid JSON: ${error.message}`);
+  }
+
+  if (!Array.isArray(configured) || configured.length === 0) {
+    throw new Error("C7_TENANTS must be a JSON array with at least one tenant");
+  }
+
+  return configured.map(tenant => {
+    if (!tenant.id || !tenant.appId || !tenant.apiKey) {
+      throw new Error(`C7_TENANTS entry "${tenant.name || tenant.id || "?"}" needs an id, appId and apiKey`);
+    }
+    return {
+      id: tenant.id,
+      name: tenant.name || tenant.id,
+      appId: tenant.appId,
+      apiKey: tenant.apiKey,
+      timeZone: resolveTimeZone(tenant.timeZone, DEFAULT_TIME_ZONE, `C7_TENANTS timeZone for ${tenant.id}`)
+    };
+  });
+}
+
+const tenants = loadTenants();
+
+// What the dashboard may see of a tenant - never its credentials
+const describeTenant = ({ id, name }) => ({ id, name });
+
+function getTenant(tenantId) {
+  return tenants.find(tenant => tenant.id === tenantId) || null;
+}
+
+const grantCache = new Map(); // user id -> { grants, loadedAt }
+
+// The user's grants ({ tenantId, role, associateName }); cached briefly per user. `role` is null
+// unless the grant overrides the user's dashboard role at that winery; `associateName` is the
+// Commerce7 associate name their orders are matched by there when no associate is linked to them.
+async function getGrants(userId) {
+  const cached = grantCache.get(userId);
+  if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) {
+    return cached.grants;
+  }
+
+  const { data, error } = await supabase
+    .from(GRANTS_TABLE)
+    .select("tenant_id, role, associate_name")
+    .eq("user_id", userId);
+
+  if (error) throw error;
+
+  const grants = data.map(grant => ({
+    tenantId: grant.tenant_id,
+    role: grant.role || null,
+    associateName: grant.associate_name || null
+  }));
+  grantCache.set(userId, { grants, loadedAt: Date.now() });
+  return grants;
+}
+
+// Configured tenants the user has been granted, in configuration order. Grants for
+// tenants that are no longer configured are ignored.
+async function getGrantedTenants(userId) {
+  const tenantIds = (await getGrants(userId)).map(grant => grant.tenantId);
+  return tenants.filter(tenant => tenantIds.includes(tenant.id));
+}
+
+// The user's grant for this winery, or null when they have none
+async function getTenantGrant(userId, tenantId) {
+  return (await getGrants(userId)).find(grant => grant.tenantId === tenantId) || null;
+}
+
+// IDs of every user granted the tenant, e.g. to limit who can be linked to its associates
+async function getTenantUserIds(tenantId) {
+  const { data, error } = await supabase
+    .from(GRANTS_TABLE)
+    .select("user_id")
+    .eq("tenant_id", tenantId);
+
+  if (error) throw error;
+  return data.map(grant => grant.user_id);
+}
+
+module.exports = {
+  tenants,
+  describeTenant,
+  getTenant,
+  getGrantedTenants,
+  getTenantGrant,
+  getTenantUserIds
+};
@@ -0,0 +1,104 @@
+// timeZone.js - Business days in each winery's timezone (its timeZone in C7_TENANTS, else TENANT_TIME_ZONE)
+
+const FALLBACK_TIME_ZONE = "America/New_York";
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// A configured timezone, or `fallback` when it is unset or not a valid IANA name
+function resolveTimeZone(configured, fallback, label) {
+  if (!configured) return fallback;
+
+  if (!isValidTimeZone(configured)) {
+    console.error(`[KINSTA ERROR] ${label} "${configured}" is not a valid IANA timezone - using ${fallback}`);
+    return fallback;
+  }
+  return configured;
+}
+
+// Used by wineries that don't set their own timezone
+const DEFAULT_TIME_ZONE = resolveTimeZone(process.env.TENANT_TIME_ZONE, FALLBACK_TIME_ZONE, "TENANT_TIME_ZONE");
+
+const partsFormats = new Map(); // timezone -> Intl.DateTimeFormat
+
+function partsFormat(timeZone) {
+  if (!partsFormats.has(timeZone)) {
+    partsFormats.set(timeZone, new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+      weekday: "short",
+      hourCycle: "h23"
+    }));
+  }
+  return partsFormats.get(timeZone);
+}
+
+// Calendar fields of an instant as seen on the winery's clock
+function zonedParts(date, timeZone) {
+  const parts = Object.fromEntries(partsFormat(timeZone).formatToParts(new Date(date)).map(part => [part.type, part.value]));
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: Number(parts.hour),
+    minute: parts.minute,
+    second: parts.second,
+    weekday: parts.weekday
+  };
+}
+
+// Local business day (YYYY-MM-DD) of an instant
+function localDate(date, timeZone) {
+  const { year, month, day } = zonedParts(date, timeZone);
+  return `${year}-${month}-${day}`;
+}
+
+// Local date and time for reports, e.g. "2025-01-31 18:45"
+function localDateTime(date, timeZone) {
+  const { year, month, day, hour, minute } = zonedParts(date, timeZone);
+  return `${year}-${month}-${day} ${String(hour).padStart(2, "0")}:${minute}`;
+}
+
+// How far the winery's clock is ahead of UTC at an instant (negative west of Greenwich)
+function offsetAt(time, timeZone) {
+  const wholeSeconds = Math.floor(time / 1000) * 1000;
+  const { year, month, day, hour, minute, second } = zonedParts(wholeSeconds, timeZone);
+  return Date.UTC(year, month - 1, day, hour, Number(minute), Number(second)) - wholeSeconds;
+}
+
+// The UTC instant a local day (YYYY-MM-DD) starts
+function startOfLocalDay(dateStr, timeZone) {
+  const midnightUtc = Date.parse(`${dateStr}T00:00:00Z`);
+  const guess = midnightUtc - offsetAt(midnightUtc, timeZone);
+  // Check the offset again at the guess in case a DST change falls in between
+  return new Date(midnightUtc - offsetAt(guess, timeZone));
+}
+
+// The last millisecond of a local day, as a UTC instant
+function endOfLocalDay(dateStr, timeZone) {
+  const nextDay = new Date(Date.parse(`${dateStr}T00:00:00Z`) + DAY_MS).toISOString().split("T")[0];
+  return new Date(startOfLocalDay(nextDay, timeZone).getTime() - 1);
+}
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  isValidTimeZone,
+  resolveTimeZone,
+  zonedParts,
+  localDate,
+  localDateTime,
+  startOfLocalDay,
+  endOfLocalDay
+};
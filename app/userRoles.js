@@ -0,0 +1,112 @@
+// userRoles.js - Dashboard roles (manager, associate, viewer) stored in Supabase
+
+const supabase = require("./supabaseClient");
+
+const TABLE = "user_roles";
+const GRANTS_TABLE = "user_tenants"; // Per-winery settings: associate name and My orders visits
+const CACHE_TTL_MS = 60000;
+
+// What each role may do beyond browsing orders
+const PERMISSIONS = {
+  manager: ["viewAll", "edit", "export", "admin"],
+  associate: ["edit", "export"],
+  viewer: ["viewAll"]
+};
+
+const cache = new Map(); // user id -> { role, loadedAt }
+
+// The user's role row, or null when they have none; cached briefly per user. Their associate name
+// is per winery and comes from their grant (see tenants.js).
+async function getUserRole(userId) {
+  const cached = cache.get(userId);
+  if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) {
+    return cached.role;
+  }
+
+  const { data, error } = await supabase
+    .from(TABLE)
+    .select("role")
+    .eq("user_id", userId)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  const role = data ? { userId, role: data.role } : null;
+  cache.set(userId, { role, loadedAt: Date.now() });
+  return role;
+}
+
+function hasPermission(userRole, permission) {
+  return Boolean(userRole && PERMISSIONS[userRole.role]?.includes(permission));
+}
+
+const normalizeName = name => String(name || "").trim().toLowerCase();
+
+// True when the order is credited to this user. Orders carry their canonical `associate`
+// (see associateIdentities.js); identities linked to a user are matched by user, the rest
+// by the associate_name on the user's grant for the winery.
+function isOwnOrder(userRole, order) {
+  const associate = order.associate;
+  if (associate?.userId) return associate.userId === userRole?.userId;
+
+  return Boolean(userRole?.associateName)
+    && normalizeName(associate?.name || order.salesAssociate?.name) === normalizeName(userRole.associateName);
+}
+
+// Everyone but associates sees all orders; associates only see their own
+function canAccessOrder(userRole, order) {
+  return hasPermission(userRole, "viewAll") || isOwnOrder(userRole, order);
+}
+
+function scopeOrdersToUser(orders, userRole) {
+  return hasPermission(userRole, "viewAll") ? orders : orders.filter(order => canAccessOrder(userRole, order));
+}
+
+// Record that the user opened the "My orders" view at this winery: the visit before this one
+// becomes the previous visit, which is what "new since your last visit" compares against.
+// Visits are kept on the user's winery grant. Returns the previous visit (null the first time).
+async function recordVisit(userId, tenantId) {
+  const { data, error } = await supabase
+    .from(GRANTS_TABLE)
+    .select("last_visit_at")
+    .eq("user_id", userId)
+    .eq("tenant_id", tenantId)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  const previousVisitAt = data?.last_visit_at || null;
+  const { error: updateError } = await supabase
+    .from(GRANTS_TABLE)
+    .update({ previous_visit_at: previousVisitAt, last_visit_at: new Date().toISOString() })
+    .eq("user_id", userId)
+    .eq("tenant_id", tenantId);
+
+  if (updateError) throw updateError;
+  return previousVisitAt;
+}
+
+// When the user opened "My orders" at this winery before the current visit (null if never);
+// read-only, so reloading the view doesn't reset what counts as new
+async function getPreviousVisit(userId, tenantId) {
+  const { data, error } = await supabase
+    .from(GRANTS_TABLE)
+    .select("previous_visit_at")
+    .eq("user_id", userId)
+    .eq("tenant_id", tenantId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data?.previous_visit_at || null;
+}
+
+module.exports = {
+  PERMISSIONS,
+  getUserRole,
+  hasPermission,
+  isOwnOrder,
+  canAccessOrder,
+  scopeOrdersToUser,
+  recordVisit,
+  getPreviousVisit
+};
@@ -0,0 +1,21 @@
+-- Products whose presence on an order means no guest count is required.
+-- Managed from the dashboard's Exclusion Rules screen.
+create table if not exists public.guest_count_exclusions (
+    id uuid primary key default gen_random_uuid(),
+    product_id text not null unique,
+    label text not null,
+    enabled boolean not null default true,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+-- Only the server (service role) reads and writes this table
+alter table public.guest_count_exclusions enable row level security;
+
+-- Seed with the products previously hardcoded in server.js (from guest_count_check.ps1)
+insert into public.guest_count_exclusions (product_id, label) values
+    ('fe778da9-5164-4688-acd2-98d044d7ce84', 'NCG'),
+    ('718b9fbb-4e23-48c7-8b2d-da86d2624b36', 'Trade Guest'),
+    ('75d4f6cf-cf69-4e76-8f3b-bb35cc7ddeb3', 'Club Member'),
+    ('7a5d9556-33e4-4d97-a3e8-37adefc6dcf0', 'Guests')
+on conflict (product_id) do nothing;
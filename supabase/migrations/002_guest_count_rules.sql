@@ -0,0 +1,23 @@
+-- Rules deciding which orders require a guest count.
+-- An order requires a count when it matches an enabled rule; the lowest priority number wins.
+-- With no enabled rules every order requires a count.
+--
+-- conditions is a JSON object; every key is optional and all present keys must match:
+--   channels, posLocations, orderTypes, productTypes, customerTags  - lists of values (case-insensitive)
+--   minTotal, maxTotal                                               - order total thresholds in dollars
+create table if not exists public.guest_count_rules (
+    id uuid primary key default gen_random_uuid(),
+    name text not null,
+    priority integer not null default 100,
+    enabled boolean not null default true,
+    conditions jsonb not null default '{}'::jsonb,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+-- Only the server (service role) reads and writes this table
+alter table public.guest_count_rules enable row level security;
+
+-- Example: only tasting-room POS orders need a count
+-- insert into public.guest_count_rules (name, priority, conditions) values
+--     ('Tasting room POS orders', 10, '{"channels": ["POS"]}'::jsonb);
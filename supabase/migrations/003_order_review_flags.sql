@@ -0,0 +1,25 @@
+-- "Flag for Review" state per order. One row per flag; clearing a flag fills in the
+-- cleared_* columns instead of deleting the row, so the history is kept.
+create table if not exists public.order_review_flags (
+    id uuid primary key default gen_random_uuid(),
+    order_id text not null,
+    order_number text,
+    note text,
+    flagged_by uuid references auth.users (id),
+    flagged_by_email text not null,
+    flagged_at timestamptz not null default now(),
+    cleared_by uuid references auth.users (id),
+    cleared_by_email text,
+    cleared_at timestamptz
+);
+
+-- At most one open flag per order
+create unique index if not exists order_review_flags_open_idx
+    on public.order_review_flags (order_id)
+    where cleared_at is null;
+
+create index if not exists order_review_flags_order_idx
+    on public.order_review_flags (order_id, flagged_at desc);
+
+-- Only the server (service role) reads and writes this table
+alter table public.order_review_flags enable row level security;
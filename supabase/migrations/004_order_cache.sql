@@ -0,0 +1,25 @@
+-- Local store of Commerce7 orders so the dashboard and exports don't refetch
+-- whole date ranges. Refreshed incrementally using the orders' updatedAt.
+create table if not exists public.c7_orders (
+    id text primary key,                    -- Commerce7 order id
+    order_number text,
+    order_paid_date timestamptz,
+    c7_updated_at timestamptz,
+    data jsonb not null,                    -- Full Commerce7 order object
+    synced_at timestamptz not null default now()
+);
+
+create index if not exists c7_orders_paid_date_idx on public.c7_orders (order_paid_date);
+
+-- What the store covers and how far incremental sync has progressed
+create table if not exists public.c7_sync_state (
+    id text primary key default 'orders',
+    covered_from date,                      -- Paid-date span fully fetched into c7_orders
+    covered_to date,
+    updated_cursor timestamptz,             -- Orders updated since this time still need fetching
+    last_synced_at timestamptz
+);
+
+-- Only the server (service role) reads and writes these tables
+alter table public.c7_orders enable row level security;
+alter table public.c7_sync_state enable row level security;
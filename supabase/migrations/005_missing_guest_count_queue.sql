@@ -0,0 +1,21 @@
+-- Live queue of orders missing guest counts, maintained from Commerce7 order webhooks
+-- and guest-count edits. Resolved orders stay in the table with resolved_at set.
+create table if not exists public.missing_guest_count_queue (
+    order_id text primary key,              -- Commerce7 order id
+    order_number text,
+    sales_associate text,
+    order_paid_date timestamptz,
+    rule_id uuid,
+    rule_name text,
+    status text not null check (status in ('outstanding', 'resolved')),
+    data jsonb not null,                    -- Latest Commerce7 order object
+    first_seen_at timestamptz not null default now(),
+    resolved_at timestamptz,
+    updated_at timestamptz not null default now()
+);
+
+create index if not exists missing_guest_count_queue_status_idx
+    on public.missing_guest_count_queue (status, order_paid_date desc);
+
+-- Only the server (service role) reads and writes this table
+alter table public.missing_guest_count_queue enable row level security;
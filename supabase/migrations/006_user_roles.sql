@@ -0,0 +1,21 @@
+-- Dashboard roles per Supabase user:
+--   manager   - sees every order, edits guest counts and flags, exports, manages settings
+--   associate - sees and edits only orders where the Commerce7 sales associate is associate_name
+--   viewer    - browses every order but cannot export or edit
+-- Users without a row cannot use the dashboard's API.
+create table if not exists public.user_roles (
+    user_id uuid primary key references auth.users (id) on delete cascade,
+    role text not null check (role in ('manager', 'associate', 'viewer')),
+    associate_name text,                    -- Commerce7 salesAssociate.name for associates
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now(),
+    constraint user_roles_associate_name_check
+        check (role <> 'associate' or associate_name is not null)
+);
+
+-- Only the server (service role) reads and writes this table
+alter table public.user_roles enable row level security;
+
+-- Grant the first manager, e.g.:
+-- insert into public.user_roles (user_id, role)
+-- select id, 'manager' from auth.users where email = 'manager@mileaestatevineyard.com';
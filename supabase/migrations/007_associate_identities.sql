@@ -0,0 +1,18 @@
+-- Canonical sales associates. Each row links the Commerce7 associate IDs and name variants
+-- that belong to one person (name changes, typos) to a display name and optionally a
+-- dashboard user. Managed from the dashboard's Associates screen.
+create table if not exists public.associate_identities (
+    id uuid primary key default gen_random_uuid(),
+    display_name text not null unique,
+    user_id uuid unique references auth.users (id) on delete set null,
+    c7_associate_ids text[] not null default '{}',   -- Commerce7 salesAssociate IDs
+    name_variants text[] not null default '{}',      -- salesAssociate.name spellings, matched case-insensitively
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+-- Only the server (service role) reads and writes this table
+alter table public.associate_identities enable row level security;
+
+-- Associates can now be tied to their orders by linking their user here instead of by name
+alter table public.user_roles drop constraint if exists user_roles_associate_name_check;
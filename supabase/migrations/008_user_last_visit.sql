@@ -0,0 +1,2 @@
+-- When each user last opened their "My orders" view, so it can show what went missing since
+alter table public.user_roles add column if not exists last_visit_at timestamptz;
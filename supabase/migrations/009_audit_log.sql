@@ -0,0 +1,19 @@
+-- Who did what in the dashboard: order views, exports, guest-count edits, flag and settings
+-- changes. Rows are only ever inserted; the manager-only Audit Log screen searches them.
+create table if not exists public.audit_log (
+    id bigint generated always as identity primary key,
+    user_id uuid references auth.users (id) on delete set null,
+    user_email text,
+    action text not null,                   -- e.g. order.view, export, guestCount.update, flag.set
+    target text,                            -- Commerce7 order id, rule id, ... when the action has one
+    params jsonb not null default '{}',     -- Request parameters (query string, edited values)
+    status integer,                         -- HTTP status returned, so denied and failed attempts show too
+    created_at timestamptz not null default now()
+);
+
+create index if not exists audit_log_created_idx on public.audit_log (created_at desc);
+create index if not exists audit_log_action_idx on public.audit_log (action, created_at desc);
+create index if not exists audit_log_target_idx on public.audit_log (target);
+
+-- Only the server (service role) reads and writes this table
+alter table public.audit_log enable row level security;
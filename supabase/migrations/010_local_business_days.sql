@@ -0,0 +1,7 @@
+-- Order date ranges are now local business days in the winery's timezone (TENANT_TIME_ZONE)
+-- instead of UTC days. The stored coverage was recorded in UTC days and can miss the evening
+-- hours of its first day, so forget it and let the next load refetch the range.
+update public.c7_sync_state
+set covered_from = null,
+    covered_to = null
+where id = 'orders';
@@ -0,0 +1,95 @@
+-- Several Commerce7 wineries (tenants) in one dashboard. Tenants and their credentials are
+-- configured in C7_TENANTS; every table below gains the tenant its rows belong to, and keys
+-- on Commerce7 order ids now include the tenant so two wineries' orders can't collide.
+--
+-- Existing rows belong to the original winery. Before running this file, set its tenant id
+-- (C7_TENANT_ID from the environment setup) for the session, e.g. first run in the same
+-- SQL editor query:
+--   set app.original_tenant_id = 'your-c7-tenant-id';
+-- With `supabase db push`, set it on the database instead:
+--   alter database postgres set app.original_tenant_id = 'your-c7-tenant-id';
+do $$
+begin
+    if coalesce(current_setting('app.original_tenant_id', true), '') = '' then
+        raise exception 'Set app.original_tenant_id to the original winery''s C7_TENANT_ID before running 011_multi_tenant.sql';
+    end if;
+end $$;
+
+-- Which tenants each dashboard user may open; users without a grant see no data
+create table if not exists public.user_tenants (
+    user_id uuid not null references auth.users (id) on delete cascade,
+    tenant_id text not null,                -- Commerce7 tenant id, as configured in C7_TENANTS
+    created_at timestamptz not null default now(),
+    primary key (user_id, tenant_id)
+);
+
+-- Only the server (service role) reads and writes this table
+alter table public.user_tenants enable row level security;
+
+-- Everyone who could use the dashboard keeps access to the original winery
+insert into public.user_tenants (user_id, tenant_id)
+select user_id, current_setting('app.original_tenant_id') from public.user_roles
+on conflict do nothing;
+
+-- Grant another winery, e.g.:
+-- insert into public.user_tenants (user_id, tenant_id)
+-- select id, 'another-estate' from auth.users where email = 'manager@mileaestatevineyard.com';
+
+-- Exclusion products and guest count rules are set up per winery
+alter table public.guest_count_exclusions add column if not exists tenant_id text;
+update public.guest_count_exclusions set tenant_id = current_setting('app.original_tenant_id') where tenant_id is null;
+alter table public.guest_count_exclusions alter column tenant_id set not null;
+alter table public.guest_count_exclusions drop constraint if exists guest_count_exclusions_product_id_key;
+alter table public.guest_count_exclusions add constraint guest_count_exclusions_tenant_product_key unique (tenant_id, product_id);
+
+alter table public.guest_count_rules add column if not exists tenant_id text;
+update public.guest_count_rules set tenant_id = current_setting('app.original_tenant_id') where tenant_id is null;
+alter table public.guest_count_rules alter column tenant_id set not null;
+create index if not exists guest_count_rules_tenant_idx on public.guest_count_rules (tenant_id, priority);
+
+-- Review flags: at most one open flag per order within a winery
+alter table public.order_review_flags add column if not exists tenant_id text;
+update public.order_review_flags set tenant_id = current_setting('app.original_tenant_id') where tenant_id is null;
+alter table public.order_review_flags alter column tenant_id set not null;
+drop index if exists public.order_review_flags_open_idx;
+create unique index order_review_flags_open_idx
+    on public.order_review_flags (tenant_id, order_id)
+    where cleared_at is null;
+drop index if exists public.order_review_flags_order_idx;
+create index order_review_flags_order_idx
+    on public.order_review_flags (tenant_id, order_id, flagged_at desc);
+
+-- Stored orders are keyed by tenant and Commerce7 order id
+alter table public.c7_orders add column if not exists tenant_id text;
+update public.c7_orders set tenant_id = current_setting('app.original_tenant_id') where tenant_id is null;
+alter table public.c7_orders alter column tenant_id set not null;
+alter table public.c7_orders drop constraint if exists c7_orders_pkey;
+alter table public.c7_orders add constraint c7_orders_pkey primary key (tenant_id, id);
+create index if not exists c7_orders_tenant_paid_date_idx on public.c7_orders (tenant_id, order_paid_date);
+
+-- The live queue is keyed by tenant and Commerce7 order id
+alter table public.missing_guest_count_queue add column if not exists tenant_id text;
+update public.missing_guest_count_queue set tenant_id = current_setting('app.original_tenant_id') where tenant_id is null;
+alter table public.missing_guest_count_queue alter column tenant_id set not null;
+alter table public.missing_guest_count_queue drop constraint if exists missing_guest_count_queue_pkey;
+alter table public.missing_guest_count_queue add constraint missing_guest_count_queue_pkey primary key (tenant_id, order_id);
+create index if not exists missing_guest_count_queue_tenant_status_idx
+    on public.missing_guest_count_queue (tenant_id, status, order_paid_date desc);
+
+-- Sync state is now one row per tenant, keyed by the tenant id
+update public.c7_sync_state set id = current_setting('app.original_tenant_id') where id = 'orders';
+alter table public.c7_sync_state alter column id drop default;
+
+-- Associates are per winery; one user can be an associate at more than one
+alter table public.associate_identities add column if not exists tenant_id text;
+update public.associate_identities set tenant_id = current_setting('app.original_tenant_id') where tenant_id is null;
+alter table public.associate_identities alter column tenant_id set not null;
+alter table public.associate_identities drop constraint if exists associate_identities_display_name_key;
+alter table public.associate_identities drop constraint if exists associate_identities_user_id_key;
+alter table public.associate_identities add constraint associate_identities_tenant_name_key unique (tenant_id, display_name);
+alter table public.associate_identities add constraint associate_identities_tenant_user_key unique (tenant_id, user_id);
+
+-- Audit entries record the winery they were made in
+alter table public.audit_log add column if not exists tenant_id text;
+update public.audit_log set tenant_id = current_setting('app.original_tenant_id') where tenant_id is null;
+create index if not exists audit_log_tenant_created_idx on public.audit_log (tenant_id, created_at desc);
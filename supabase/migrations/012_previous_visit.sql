@@ -0,0 +1,16 @@
+-- "My orders" visits are kept per winery, on the user's grant, so a user at several estates
+-- gets a separate "new since your last visit" window at each. previous_visit_at is the visit
+-- before the current one; reloading the view during a visit (e.g. while searching) doesn't
+-- reset what counts as new.
+alter table public.user_tenants add column if not exists last_visit_at timestamptz;
+alter table public.user_tenants add column if not exists previous_visit_at timestamptz;
+
+-- Until each user's next visit, every winery compares against the visit already recorded
+update public.user_tenants
+set last_visit_at = user_roles.last_visit_at,
+    previous_visit_at = user_roles.last_visit_at
+from public.user_roles
+where user_roles.user_id = user_tenants.user_id
+  and user_tenants.last_visit_at is null;
+
+alter table public.user_roles drop column if exists last_visit_at;
@@ -0,0 +1,28 @@
+-- A user's role can differ between wineries: when a grant's role is set it replaces the user's
+-- user_roles role at that winery, e.g. a manager at one estate who is only a viewer at another.
+-- Left null, the user_roles role applies.
+alter table public.user_tenants add column if not exists role text
+    check (role in ('manager', 'associate', 'viewer'));
+
+-- e.g. make a manager a viewer at another estate:
+-- update public.user_tenants set role = 'viewer'
+-- where tenant_id = 'another-estate'
+--   and user_id = (select id from auth.users where email = 'manager@mileaestatevineyard.com');
+
+-- The Commerce7 associate name an associate's orders are matched by (when no associate is linked
+-- to them on the Associates screen) is per winery too, since each estate has its own associates.
+alter table public.user_tenants add column if not exists associate_name text;
+
+-- Keep each user's current name at every winery they're granted
+update public.user_tenants
+set associate_name = user_roles.associate_name
+from public.user_roles
+where user_roles.user_id = user_tenants.user_id
+  and user_tenants.associate_name is null;
+
+alter table public.user_roles drop column if exists associate_name;
+
+-- e.g. set an associate's name at one estate:
+-- update public.user_tenants set associate_name = 'Jane Smith'
+-- where tenant_id = 'another-estate'
+--   and user_id = (select id from auth.users where email = 'associate@mileaestatevineyard.com');
@@ -0,0 +1,14 @@
+-- The order store now remembers every paid-date range it has fully fetched instead of one span,
+-- so loading a range elsewhere (last year's comparison, the My Orders lookback) no longer
+-- replaces what was already covered. Each entry is { "from": "YYYY-MM-DD", "to": "YYYY-MM-DD" }.
+alter table public.c7_sync_state add column if not exists covered_ranges jsonb not null default '[]'::jsonb;
+
+-- Carry over the span each tenant already covers
+update public.c7_sync_state
+set covered_ranges = jsonb_build_array(jsonb_build_object('from', covered_from, 'to', covered_to))
+where covered_from is not null
+  and covered_to is not null
+  and covered_from <= covered_to;
+
+alter table public.c7_sync_state drop column if exists covered_from;
+alter table public.c7_sync_state drop column if exists covered_to;